@@ -0,0 +1,135 @@
+// mock-exchange.js — local stand-in broker for "live" mode (speaks the server.js execution adapter protocol)
+//
+// REST
+//   POST   /orders      { clientOrderId, venue, symbol, side, qty, type, tif, limitPrice, stopPrice, refPrice }
+//                       -> 200 { brokerOrderId, status: 'accepted' } | 422 { status: 'rejected', reason }
+//   DELETE /orders/:id  -> 200 { status: 'cancelled' } | 404 | 409
+//   GET    /orders      -> { orders: [{ brokerOrderId, clientOrderId, status, filledQty, fills: [...] }] }
+// WebSocket /ws pushes { type: 'ack'|'fill'|'cancelled'|'rejected', brokerOrderId, clientOrderId, fill?, reason? }
+//
+// Prices: each venue:symbol starts at the first order's refPrice and random-walks once a second.
+// Market orders fill in two chunks (half at once, the rest on the next pass) to exercise partial fills.
+
+const express = require('express');
+const http = require('http');
+const WebSocket = require('ws');
+require('dotenv').config();
+
+const app = express();
+const server = http.createServer(app);
+const wss = new WebSocket.Server({ server, path: '/ws' });
+
+const FEE_RATE = 0.0005;
+const SPREAD = 0.0006;
+const MAX_NOTIONAL = Number(process.env.MOCK_MAX_NOTIONAL || 1_000_000);
+const REJECT_SYMBOLS = String(process.env.MOCK_REJECT_SYMBOLS || '').split(',').map(s => s.trim()).filter(Boolean);
+const SIDES = ['BUY', 'SELL', 'SHORT', 'COVER'];
+const TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'];
+
+const orders = new Map(); // brokerOrderId -> order
+const prices = new Map(); // venue:symbol -> last mid
+let seq = 1, fillSeq = 1;
+
+function broadcast(msg) {
+  const s = JSON.stringify(msg);
+  for (const ws of wss.clients) if (ws.readyState === 1) ws.send(s);
+}
+
+const view = (o) => ({ brokerOrderId: o.brokerOrderId, clientOrderId: o.clientOrderId, venue: o.venue, symbol: o.symbol, side: o.side,
+  qty: o.qty, type: o.type, tif: o.tif, limitPrice: o.limitPrice, stopPrice: o.stopPrice, status: o.status, filledQty: o.filledQty, fills: o.fills });
+const isBuy = (side) => side === 'BUY' || side === 'COVER';
+const remaining = (o) => +(o.qty - o.filledQty).toFixed(8);
+const isLive = (o) => o.status === 'accepted' || o.status === 'partially_filled';
+
+function quote(key) {
+  const p = prices.get(key);
+  return { bid: +(p * (1 - SPREAD / 2)).toFixed(2), ask: +(p * (1 + SPREAD / 2)).toFixed(2) };
+}
+
+function fill(o, qty, price) {
+  const f = { fillId: `F${fillSeq++}`, qty, price, fee: +(price * qty * FEE_RATE).toFixed(2), ts: Date.now() };
+  o.fills.push(f);
+  o.filledQty = +(o.filledQty + qty).toFixed(8);
+  o.status = remaining(o) > 0 ? 'partially_filled' : 'filled';
+  broadcast({ type: 'fill', brokerOrderId: o.brokerOrderId, clientOrderId: o.clientOrderId, fill: f });
+}
+
+function cancel(o, reason) {
+  o.status = 'cancelled';
+  broadcast({ type: 'cancelled', brokerOrderId: o.brokerOrderId, clientOrderId: o.clientOrderId, reason });
+}
+
+// One matching pass for an order against the current quote; market orders fill half on their first pass
+function work(o) {
+  if (!isLive(o)) return;
+  const key = `${o.venue}:${o.symbol}`;
+  const q = quote(key), buy = isBuy(o.side), px = buy ? q.ask : q.bid;
+  if (o.stopPrice != null && !o.triggered) {
+    if (buy ? px < o.stopPrice : px > o.stopPrice) return;
+    o.triggered = true;
+  }
+  if (o.limitPrice != null && (buy ? px > o.limitPrice : px < o.limitPrice)) {
+    if (o.tif === 'IOC') cancel(o, 'ioc');
+    return;
+  }
+  const first = o.type === 'MARKET' && o.filledQty === 0 && o.qty > 1e-6;
+  fill(o, first ? +(o.qty / 2).toFixed(8) : remaining(o), px);
+  if (o.tif === 'IOC' && isLive(o) && o.type !== 'MARKET') cancel(o, 'ioc');
+}
+
+app.post('/orders', express.json(), (req, res) => {
+  const b = req.body || {};
+  const reject = (reason) => {
+    broadcast({ type: 'rejected', clientOrderId: b.clientOrderId, reason });
+    res.status(422).json({ status: 'rejected', reason });
+  };
+  const qty = Number(b.qty), ref = Number(b.refPrice);
+  if (!b.venue || !b.symbol || b.clientOrderId == null) return reject('Missing fields');
+  if (!SIDES.includes(b.side) || !TYPES.includes(b.type) || !(qty > 0)) return reject('Invalid side, type or qty');
+  if (REJECT_SYMBOLS.includes(b.symbol)) return reject(`${b.symbol} is not tradable`);
+  const key = `${b.venue}:${b.symbol}`;
+  if (!prices.has(key)) {
+    if (!(ref > 0)) return reject('No price for symbol (send refPrice)');
+    prices.set(key, ref);
+  }
+  if (qty * prices.get(key) > MAX_NOTIONAL) return reject(`Notional exceeds ${MAX_NOTIONAL}`);
+
+  const o = { brokerOrderId: `MX${seq++}`, clientOrderId: b.clientOrderId, venue: b.venue, symbol: b.symbol, side: b.side, qty,
+    type: b.type, tif: b.tif || 'GTC', status: 'accepted', filledQty: 0, fills: [], ts: Date.now() };
+  if (b.limitPrice != null) o.limitPrice = Number(b.limitPrice);
+  if (b.stopPrice != null) { o.stopPrice = Number(b.stopPrice); o.triggered = false; }
+  orders.set(o.brokerOrderId, o);
+  res.json({ brokerOrderId: o.brokerOrderId, status: 'accepted' });
+  broadcast({ type: 'ack', brokerOrderId: o.brokerOrderId, clientOrderId: o.clientOrderId });
+  setTimeout(() => work(o), 200); // fills arrive asynchronously, after the ack
+});
+
+app.delete('/orders/:id', (req, res) => {
+  const o = orders.get(req.params.id);
+  if (!o) return res.status(404).json({ reason: 'Unknown order' });
+  if (!isLive(o)) return res.status(409).json({ reason: `Order is ${o.status}` });
+  cancel(o, 'user');
+  res.json({ status: 'cancelled' });
+});
+
+app.get('/orders', (_req, res) => res.json({ orders: [...orders.values()].map(view) }));
+app.get('/orders/:id', (req, res) => {
+  const o = orders.get(req.params.id);
+  if (!o) return res.status(404).json({ reason: 'Unknown order' });
+  res.json(view(o));
+});
+
+// Walk prices and work resting orders once a second; DAY orders lapse at local midnight
+setInterval(() => {
+  for (const [key, p] of prices) prices.set(key, p * (1 + (Math.random() - 0.5) * 0.002));
+  const midnight = new Date(); midnight.setHours(0, 0, 0, 0);
+  for (const o of orders.values()) {
+    if (o.tif === 'DAY' && isLive(o) && o.ts < midnight.getTime()) cancel(o, 'expired');
+    else work(o);
+  }
+}, 1000);
+
+const PORT = process.env.MOCK_EXCHANGE_PORT || 8090;
+server.listen(PORT, () => {
+  console.log('Mock exchange http://localhost:'+PORT);
+});
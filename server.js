@@ -3,243 +3,2775 @@
 // Load dependencies
 const express = require('express');
 const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
 const WebSocket = require('ws');
 require('dotenv').config(); // to load secrets if you add .env later
 
-const app = express();
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
-
-// In-memory database (paper trades, positions, orders, reports)
-let state = {
-// --- Health & debug endpoints ---
-app.get('/healthz', (req, res) => res.status(200).send('ok'));
-app.get('/api/health', (req, res) => res.json({ ok: true, time: new Date().toISOString() }));
-app.get('/api/state', (req, res) => res.json(state));
-// Simple health + state endpoints
-app.get('/api/health', (req, res) => res.json({ ok: true }));
-app.get('/api/state', (req, res) => res.json(state));
-  mode: {
-    crypto: "paper",  // or "live"
-    stocks: "paper"
-  },
-  fxRate: 87.0, // USD to INR (default, can update via API)
-  orders: [],
-  positions: {},
-  reports: []
+// Persistence backend for the journal, audit log and candle store: whole-file reads and appends by path.
+// read returns null for a missing file. Tests pass an in-memory object with the same two methods.
+const fileStore = {
+  read: (file) => fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null,
+  append: (file, text) => { fs.mkdirSync(path.dirname(file), { recursive: true }); fs.appendFileSync(file, text); }
 };
 
-// Serve static HTML/JS from a single endpoint
-app.get('/', (req, res) => {
-  res.send(generateHTML());
-});
-// ---------- Helpers ----------
-const fetchJson = async (url, opts={}) => {
-  const r = await fetch(url, { headers: { accept: 'application/json' }, ...opts });
-  if (!r.ok) throw new Error(`HTTP ${r.status} for ${url}`);
-  return r.json();
-};
+// ---------- App factory ----------
+// createApp builds one independent instance: state, routes, WebSocket server and background jobs.
+//   clock  { now() } -> epoch ms, used for every timestamp, session check and report range (default: Date.now)
+//   fetch  used for every upstream call: price providers, FX, webhooks and the live adapter (default: global fetch)
+//   store  { read(file), append(file, text) } for the journal, audit log and candles (default: fileStore)
+//   env    settings, as process.env (default: process.env)
+// Nothing listens or ticks until listen(port) or start(); close() stops the jobs and the server again.
+function createApp({ clock = { now: () => Date.now() }, fetch = globalThis.fetch, store = fileStore, env = process.env } = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const wss = new WebSocket.Server({ server, verifyClient: verifyWsClient, maxPayload: 64 * 1024 });
+
+  // Interval jobs registered here run between start() and stop()
+  const jobs = []; // { ms, fn, handle }
+  const every = (ms, fn) => jobs.push({ ms, fn, handle: null });
+  let running = false;
+
+  // In-memory database (paper trades, positions, orders, reports)
+  let state = {
+    mode: {
+      crypto: "paper",  // or "live"
+      stocks: "paper"
+    },
+    fxRate: null, // USD to INR: config.fxRate until refreshFx succeeds
+    orders: [],
+    // Keyed by user-chosen account ids, so no prototype: 'toString' or '__proto__' are just unknown (or ordinary) ids
+    positions: Object.create(null), // account id -> venue:symbol -> { lots, realizedMinor }
+    accounts: Object.create(null),  // account id -> { id, name, baseCurrency, startingCash, cashMinor: { USD, INR } }
+    reports: [],
+    // Pre-trade risk limits (null = off) and kill switches; see checkRisk
+    risk: {
+      limits: {
+        maxNotional: { crypto: { usd: 100_000, inr: 8_700_000 }, stock: { usd: 100_000, inr: 8_700_000 } },
+        maxPosition: {},          // { crypto: 5, 'crypto:bitcoin': 1 } -- symbol key wins over venue
+        dailyLossLimit: null,     // USD, realized since local midnight
+        maxOrdersPerMinute: 60,
+        allowList: [],            // non-empty => only these venue:symbol keys may trade
+        denyList: []
+      },
+      kill: { global: false, crypto: false, stock: false }
+    }
+  };
+
+  // Every request is identified first; /api needs a signed-in user (see Auth below)
+  app.use(authenticate);
+
+  // --- Health & debug endpoints ---
+  app.get('/healthz', (req, res) => res.status(200).send('ok'));
+  app.get('/api/health', (req, res) => res.json({ ok: true, time: new Date(clock.now()).toISOString() }));
+  app.get('/api/state', can('admin'), (req, res) => res.json(state));
+
+  // Serve static HTML/JS from a single endpoint
+  app.get('/', (req, res) => {
+    res.send(req.user ? generateHTML(req.user) : loginHTML());
+  });
+  // ---------- Helpers ----------
+  const fetchJson = async (url, opts={}) => {
+    const r = await fetch(url, { headers: { accept: 'application/json' }, ...opts });
+    if (!r.ok) throw Object.assign(new Error(`HTTP ${r.status} for ${url}`), { status: r.status, retryAfter: Number(r.headers.get('retry-after')) || 0 });
+    return r.json();
+  };
+
+  const usdToInr = (usd) => Number((usd * state.fxRate).toFixed(2));
+
+  // ---------- Persistence (append-only JSONL journal) ----------
+  // Every order change (full snapshot), fill, mode change, config change, bot start/stop, risk change, account creation,
+  // user / API key change, instrument change, alert rule change and alert firing is appended as { type, ts, data }.
+  // On startup loadJournal() replays it: orders are upserted by id, fills are re-applied through
+  // fillPaper with their recorded fee to rebuild positions, and open orders go back on the book.
+  // JOURNAL_FILE=off disables persistence.
+  const JOURNAL_FILE = env.JOURNAL_FILE || path.join(__dirname, 'data', 'journal.jsonl');
+  const journalOn = JOURNAL_FILE !== 'off';
+  let replaying = false;
+  let nextOrderId = 1;
+
+  function journal(type, data) {
+    if (!journalOn || replaying) return;
+    store.append(JOURNAL_FILE, JSON.stringify({ type, ts: clock.now(), data }) + '\n');
+  }
+  function journalOrder(o) {
+    journal('order', o);
+    publish('orders', o.account, { type:'order', account: o.account, order: o });
+  }
+
+  function loadJournal() {
+    const text = journalOn && store.read(JOURNAL_FILE);
+    if (!text) return;
+    replaying = true;
+    const orders = new Map();
+    try {
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        let ev;
+        try { ev = JSON.parse(line); } catch { continue; } // torn last line after a crash
+        if (ev.type === 'order') orders.set(ev.data.id, ev.data);
+        else if (ev.type === 'fill') { const { fee, realized, currency, fx, closedLots, ...o } = ev.data; fillPaper(o, toMinor(fee), fx); }
+        else if (ev.type === 'account') createAccount(ev.data);
+        else if (ev.type === 'user') users.set(ev.data.username, ev.data);
+        else if (ev.type === 'apikey') apiKeys.set(ev.data.id, ev.data);
+        else if (ev.type === 'instrument') upsertInstrument(ev.data);
+        else if (ev.type === 'mode') Object.assign(state.mode, ev.data);
+        else if (ev.type === 'bot') bots.set(ev.data.id, ev.data);
+        else if (ev.type === 'alert') ev.data.deleted ? alertRules.delete(ev.data.id) : alertRules.set(ev.data.id, ev.data);
+        else if (ev.type === 'alert_event') {
+          alertHistory.unshift(ev.data);
+          alertHistory.length = Math.min(alertHistory.length, 500);
+          const rule = alertRules.get(ev.data.ruleId);
+          if (rule) { rule.lastFiredAt = ev.data.ts; rule.fireCount = (rule.fireCount || 0) + 1; }
+        }
+        else if (ev.type === 'config') applyConfig(ev.data);
+        else if (ev.type === 'risk') {
+          Object.assign(state.risk.limits, ev.data.limits);
+          Object.assign(state.risk.kill, ev.data.kill);
+        }
+      }
+    } finally { replaying = false; }
+    state.orders = [...orders.values()].sort((a,b)=>a.id-b.id);
+    for (const o of state.orders) {
+      if (isOpenOrder(o)) (orderBook[`${o.venue}:${o.symbol}`] ||= []).push(o);
+      nextOrderId = Math.max(nextOrderId, o.id + 1);
+    }
+    for (const bot of bots.values()) {
+      if (bot.status === 'running') startBot(bot);
+      nextBotId = Math.max(nextBotId, Number(bot.id.split('-')[1]) + 1);
+    }
+    for (const r of alertRules.values()) nextAlertId = Math.max(nextAlertId, Number(r.id.split('-')[1]) + 1);
+    nextAlertEventId = (alertHistory[0]?.id || 0) + 1;
+    console.log(`Journal: ${state.orders.length} orders, ${state.reports.length} fills restored`);
+  }
+
+  // ---------- Auth (users, sessions, API keys, audit log) ----------
+  // Roles rank viewer < trader < admin. Any signed-in user may read; routes that change state name the
+  // role they need with can(role). The UI signs in with a session cookie. Scripts send an API key as
+  // `Authorization: Bearer uat_<id>_<secret>` or `X-API-Key`. A key acts with the lower of its own role and its owner's.
+  // Passwords are stored as scrypt hashes. Keys are stored as SHA-256 hashes, which is enough because
+  // they are 192-bit random. Users and keys are journaled. Sessions are in memory and end on restart.
+  // AUTH=off makes every caller the 'local' admin (development only).
+  const ROLES = ['viewer', 'trader', 'admin'];
+  const authOn = env.AUTH !== 'off';
+  const SESSION_COOKIE = 'uat_sid';
+  const SESSION_TTL_MS = Number(env.SESSION_TTL_HOURS || 12) * 3_600_000;
+  const users = new Map();         // username -> { username, role, passwordHash, disabled, createdAt }
+  const apiKeys = new Map();       // id -> { id, username, name, role, hash, createdAt, revoked, lastUsedAt }
+  const sessions = new Map();      // sid -> { username, expires }
+  const loginFailures = new Map(); // ip -> { count, since }
+  const PUBLIC_API = new Set(['/api/health', '/api/auth/login']);
+
+  const roleRank = (role) => ROLES.indexOf(role);
+  const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+  const userView = ({ passwordHash, ...u }) => u;
+  const keyView = ({ hash, ...k }) => k;
+
+  function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `scrypt$${salt}$${crypto.scryptSync(String(password), salt, 64).toString('hex')}`;
+  }
+  function verifyPassword(password, stored) {
+    const [, salt, hash] = String(stored).split('$');
+    if (!salt || !hash) return false;
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), crypto.scryptSync(String(password), salt, 64));
+  }
+  const DUMMY_HASH = hashPassword(crypto.randomBytes(8).toString('hex')); // unknown users cost the same as wrong passwords
+
+  function saveUser(u) {
+    users.set(u.username, u);
+    journal('user', u);
+  }
+
+  const parseCookies = (header = '') => Object.fromEntries(header.split(';').map(c => c.trim().split('=')).filter(([k, v]) => k && v));
+
+  function userForSession(sid) {
+    const s = sessions.get(sid);
+    if (!s || s.expires < clock.now()) { sessions.delete(sid); return null; }
+    const u = users.get(s.username);
+    if (!u || u.disabled) return null;
+    return { username: u.username, role: u.role, via: 'session', sid };
+  }
+
+  function userForKey(key) {
+    const m = /^uat_([0-9a-f]{8})_(.+)$/.exec(String(key));
+    const k = m && apiKeys.get(m[1]);
+    if (!k || k.revoked || !crypto.timingSafeEqual(Buffer.from(k.hash, 'hex'), Buffer.from(sha256(m[2]), 'hex'))) return null;
+    const u = users.get(k.username);
+    if (!u || u.disabled) return null;
+    k.lastUsedAt = clock.now();
+    return { username: u.username, role: roleRank(k.role) < roleRank(u.role) ? k.role : u.role, via: 'apikey', keyId: k.id };
+  }
+
+  function identify(req) {
+    if (!authOn) return { username: 'local', role: 'admin', via: 'none' };
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const key = bearer ? bearer[1] : req.headers['x-api-key'];
+    if (key) return userForKey(key);
+    const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    return sid ? userForSession(sid) : null;
+  }
+
+  // Ends sessions (one by id, or all of a user's) and closes their WebSocket connections
+  function endSessions({ sid, username }) {
+    for (const [id, s] of sessions) if (id === sid || s.username === username) sessions.delete(id);
+    for (const [ws, info] of clients) {
+      if ((sid && info.user.sid === sid) || info.user.username === username) ws.close(4401, 'Session ended');
+    }
+  }
+
+  // Browsers send the session cookie with the handshake; scripts send an API key header or ?apiKey=
+  function verifyWsClient({ req, origin }, done) {
+    try { if (origin && new URL(origin).host !== req.headers.host) return done(false, 403, 'Bad origin'); }
+    catch { return done(false, 403, 'Bad origin'); }
+    const key = new URL(req.url, 'http://localhost').searchParams.get('apiKey');
+    const user = key && authOn ? userForKey(key) : identify(req);
+    if (!user) return done(false, 401, 'Authentication required');
+    req.user = user;
+    done(true);
+  }
+
+  // Audit log: every mutating API call (and every login attempt) is appended as one JSON line.
+  // AUDIT_FILE=off keeps it in memory only; the last 1000 entries are served by GET /api/audit.
+  const AUDIT_FILE = env.AUDIT_FILE || path.join(__dirname, 'data', 'audit.jsonl');
+  const auditOn = AUDIT_FILE !== 'off';
+  const auditLog = [];
+  const REDACTED = new Set(['password', 'currentPassword', 'key', 'secret']);
+
+  // Masks REDACTED keys at any depth (e.g. an alert's webhook.secret)
+  const redactValue = (v) => Array.isArray(v) ? v.map(redactValue)
+    : v && typeof v === 'object' ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, REDACTED.has(k) ? '***' : redactValue(x)])) : v;
+  const redact = (body) => body && typeof body === 'object' ? redactValue(body) : undefined;
+
+  function audit(entry) {
+    const e = { ts: clock.now(), ...entry };
+    auditLog.push(e);
+    if (auditLog.length > 1000) auditLog.shift();
+    if (auditOn) store.append(AUDIT_FILE, JSON.stringify(e) + '\n');
+  }
+
+  function loadAudit() {
+    const text = auditOn && store.read(AUDIT_FILE);
+    if (!text) return;
+    for (const line of text.split('\n').slice(-1001)) {
+      try { if (line.trim()) auditLog.push(JSON.parse(line)); } catch { /* torn line */ }
+    }
+    auditLog.splice(0, auditLog.length - 1000);
+  }
+
+  function authenticate(req, res, next) {
+    req.user = identify(req);
+    if (!req.path.startsWith('/api/') || PUBLIC_API.has(req.path)) return next();
+    if (!req.user) return res.status(401).json({ ok:false, error:'Authentication required' });
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.on('finish', () => audit({ user: req.user.username, role: req.user.role, via: req.user.via, method: req.method,
+        path: req.originalUrl, status: res.statusCode, ip: req.ip, body: redact(req.body) }));
+    }
+    next();
+  }
+
+  function can(role) {
+    return (req, res, next) => roleRank(req.user?.role) >= roleRank(role) ? next() : res.status(403).json({ ok:false, error:`Requires ${role} role` });
+  }
+
+  // First start (no users journaled): create the admin from ADMIN_USER / ADMIN_PASSWORD, or print a generated password
+  function ensureAdmin() {
+    if (!authOn || users.size) return;
+    const username = env.ADMIN_USER || 'admin';
+    const password = env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    saveUser({ username, role: 'admin', passwordHash: hashPassword(password), disabled: false, createdAt: clock.now() });
+    console.log(`Auth: created admin '${username}'` + (env.ADMIN_PASSWORD ? '' : ` with password ${password} (set ADMIN_PASSWORD to choose one)`));
+  }
+
+  every(600_000, () => {
+    for (const [sid, s] of sessions) if (s.expires < clock.now()) sessions.delete(sid);
+    for (const [ip, f] of loginFailures) if (clock.now() - f.since > 60_000) loginFailures.delete(ip);
+  });
+
+  // ---------- Config ----------
+  // Trading parameters, layered: CONFIG_DEFAULTS, then CONFIG_FILE (JSON, same shape), then env vars (CONFIG_ENV),
+  // then runtime changes from PUT /api/config. Runtime changes are a JSON merge patch (RFC 7396) over the layers
+  // below: objects merge key by key, arrays and scalars replace, and null drops the runtime value so the file/env
+  // one shows again. The runtime layer is journaled, so it survives restarts and wins over a changed file or env.
+  // Spreads and fee rates are fractions per venue; symbolOverrides ('venue:symbol', stocks in canonical form)
+  // win over the venue value. applyConfig re-times the broadcast loop and FX refresh without a restart.
+  const CONFIG_DEFAULTS = {
+    tickIntervalMs: 3000,             // broadcast loop period
+    fxRefreshMs: 60_000,              // USD/INR refresh period; 0 keeps fxRate fixed
+    fxRate: 87,                       // USD/INR until the first refresh (and always, with fxRefreshMs 0)
+    spread: { crypto: 0.0006, stock: 0.0008 },   // synthetic bid/ask spread when a provider only gives a price
+    feeRate: { crypto: 0.0005, stock: 0.0005 },  // paper fee on notional (NSE/BSE use INDIA_FEES instead)
+    symbolOverrides: {},              // { 'crypto:bitcoin': { spread: 0.0002, feeRate: 0.001 } }
+    // Dashboard suggestions. Fills book per-unit prices in cents, so sub-dollar coins are left out of the defaults.
+    cryptoSymbols: ['bitcoin', 'ethereum', 'solana', 'binancecoin', 'ripple', 'polkadot', 'chainlink', 'litecoin',
+      'avalanche-2', 'uniswap', 'near', 'aptos', 'sui']
+  };
+  const CONFIG_ENV = {
+    TICK_INTERVAL_MS: ['tickIntervalMs'], FX_REFRESH_MS: ['fxRefreshMs'], FX_RATE: ['fxRate'],
+    SPREAD_CRYPTO: ['spread', 'crypto'], SPREAD_STOCK: ['spread', 'stock'],
+    FEE_RATE_CRYPTO: ['feeRate', 'crypto'], FEE_RATE_STOCK: ['feeRate', 'stock'],
+    CRYPTO_SYMBOLS: ['cryptoSymbols']
+  };
+  const OVERRIDE_FIELDS = ['spread', 'feeRate'];
+
+  const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+  function mergePatch(target, patch) {
+    if (!isPlainObject(patch)) return structuredClone(patch);
+    const out = isPlainObject(target) ? { ...target } : {};
+    for (const [k, v] of Object.entries(patch)) {
+      if (v === null) delete out[k];
+      else out[k] = mergePatch(out[k], v);
+    }
+    return out;
+  }
+
+  // Returns an error message for an invalid effective config, or null
+  function validateConfig(c) {
+    const rate = (v) => typeof v === 'number' && v >= 0 && v < 0.1;
+    for (const k of Object.keys(c)) if (!Object.hasOwn(CONFIG_DEFAULTS, k)) return `Unknown config key ${k}`;
+    if (!(Number.isInteger(c.tickIntervalMs) && c.tickIntervalMs >= 250 && c.tickIntervalMs <= 300_000)) return 'tickIntervalMs must be an integer from 250 to 300000';
+    if (!(Number.isInteger(c.fxRefreshMs) && (c.fxRefreshMs === 0 || c.fxRefreshMs >= 10_000))) return 'fxRefreshMs must be 0 (off) or an integer of at least 10000';
+    if (!(typeof c.fxRate === 'number' && c.fxRate > 0)) return 'fxRate must be a positive number';
+    for (const f of OVERRIDE_FIELDS) {
+      if (!isPlainObject(c[f])) return `${f} must be { crypto, stock }`;
+      for (const v of Object.keys(c[f])) if (!['crypto', 'stock'].includes(v)) return `${f}: unknown venue ${v}`;
+      for (const v of ['crypto', 'stock']) if (!rate(c[f][v])) return `${f}.${v} must be a fraction from 0 to 0.1`;
+    }
+    if (!isPlainObject(c.symbolOverrides)) return 'symbolOverrides must be an object';
+    for (const [k, o] of Object.entries(c.symbolOverrides)) {
+      if (!/^(crypto|stock):[\w.\-^&]{1,40}$/.test(k)) return `symbolOverrides: ${k} must be venue:symbol`;
+      if (!isPlainObject(o)) return `symbolOverrides.${k} must be { spread?, feeRate? }`;
+      for (const [f, v] of Object.entries(o)) {
+        if (!OVERRIDE_FIELDS.includes(f)) return `symbolOverrides.${k}: unknown field ${f}`;
+        if (!rate(v)) return `symbolOverrides.${k}.${f} must be a fraction from 0 to 0.1`;
+      }
+    }
+    if (!(Array.isArray(c.cryptoSymbols) && c.cryptoSymbols.length <= 200 && c.cryptoSymbols.every(s => typeof s === 'string' && /^[a-z0-9-]{1,40}$/.test(s)))) {
+      return 'cryptoSymbols must be an array of CoinGecko ids';
+    }
+    return null;
+  }
+
+  function envConfig() {
+    let out = {};
+    for (const [name, keyPath] of Object.entries(CONFIG_ENV)) {
+      const raw = env[name];
+      if (raw === undefined || raw === '') continue;
+      const v = keyPath[0] === 'cryptoSymbols' ? raw.split(',').map(s => s.trim()).filter(Boolean) : Number(raw);
+      out = mergePatch(out, keyPath.reduceRight((acc, k) => ({ [k]: acc }), v));
+    }
+    return out;
+  }
+
+  const configBase = mergePatch(mergePatch(CONFIG_DEFAULTS, readJsonEnvFile('CONFIG_FILE') || {}), envConfig());
+  {
+    const bad = validateConfig(configBase);
+    if (bad) throw new Error(`CONFIG_FILE / env: ${bad}`);
+  }
+  let configRuntime = {}; // what PUT /api/config has changed
+  let config = configBase;
+  state.fxRate = config.fxRate;
+
+  // Applies a new runtime layer (a full replacement; PUT merges into the current one first). Returns an error or null.
+  function applyConfig(runtime) {
+    const next = mergePatch(configBase, runtime), bad = validateConfig(next);
+    if (bad) return bad;
+    const prev = config;
+    config = next;
+    configRuntime = runtime;
+    if (next.fxRate !== prev.fxRate) state.fxRate = next.fxRate;
+    if (next.tickIntervalMs !== prev.tickIntervalMs) rescheduleBroadcast();
+    if (next.fxRefreshMs !== prev.fxRefreshMs) scheduleFx();
+    return null;
+  }
+
+  const configFor = (field, venue, symbol) => config.symbolOverrides[`${venue}:${symbol}`]?.[field] ?? config[field][venue];
+  const spreadFor = (venue, symbol) => configFor('spread', venue, symbol);
+  const feeRateFor = (venue, symbol) => configFor('feeRate', venue, symbol);
+
+  // Update USD/INR every config.fxRefreshMs
+  async function refreshFx() {
+    try {
+      const j = await fetchJson('https://api.exchangerate.host/latest?base=USD&symbols=INR');
+      const rate = Number(j?.rates?.INR);
+      if (rate) state.fxRate = rate;
+    } catch (_) { /* keep old rate */ }
+  }
+  let fxTimer = null;
+  function scheduleFx() {
+    clearInterval(fxTimer);
+    fxTimer = running && config.fxRefreshMs ? setInterval(refreshFx, config.fxRefreshMs) : null;
+  }
+
+  // ---------- Market-data providers ----------
+  // Each provider returns a mid price ({ price } or { price, bid, ask }); fetchTick walks
+  // the venue's chain in order and falls through on errors, exhausted rate limits or 429 backoff.
+  // Providers that can price many symbols in one request also implement quoteMany(venue, symbols) -> Map.
+  const providers = {}; // name -> { name, venues, perMinute, calls: number[], quote(venue, symbol), quoteMany?, history?, stats }
+
+  function registerProvider(p) {
+    const envLimit = Number(env[`RATE_LIMIT_${p.name.toUpperCase()}`]);
+    providers[p.name] = { ...p, perMinute: envLimit || p.perMinute || 0, calls: [], backoffMs: 0, backoffUntil: 0,
+      stats: { calls: 0, errors: 0, throttled: 0, latency: [] } };
+    return providers[p.name];
+  }
+
+  const parseChain = (v, dflt) => String(v || dflt).split(',').map(s => s.trim()).filter(Boolean);
+  // e.g. PROVIDERS_CRYPTO=coingecko,sim  PROVIDERS_STOCK=replay
+  const venueProviders = {
+    crypto: parseChain(env.PROVIDERS_CRYPTO, 'coingecko'),
+    stock:  parseChain(env.PROVIDERS_STOCK, 'alphavantage')
+  };
+
+  // Sliding one-minute window; perMinute = 0 means unlimited
+  function takeRateToken(p, now = clock.now()) {
+    if (!p.perMinute) return true;
+    while (p.calls.length && now - p.calls[0] >= 60_000) p.calls.shift();
+    if (p.calls.length >= p.perMinute) return false;
+    p.calls.push(now);
+    return true;
+  }
+
+  // CoinGecko: symbol is a coingecko id (bitcoin, ethereum, solana); coins/markets prices up to 250 ids per call
+  registerProvider({
+    name: 'coingecko', venues: ['crypto'], perMinute: 30,
+    async quote(venue, symbol) {
+      const q = (await this.quoteMany(venue, [symbol])).get(symbol);
+      if (!q) throw new Error('No crypto price');
+      return q;
+    },
+    async quoteMany(_venue, symbols) {
+      const q = new URL('https://api.coingecko.com/api/v3/coins/markets');
+      q.searchParams.set('vs_currency', 'usd');
+      q.searchParams.set('ids', symbols.slice(0, 250).join(','));
+      q.searchParams.set('per_page', '250');
+      const arr = await fetchJson(q.toString());
+      return new Map((arr || []).filter(c => Number(c.current_price)).map(c => [c.id, { price: Number(c.current_price) }]));
+    },
+    // OHLC granularity is chosen by CoinGecko from the day count; no volume
+    async history(_venue, symbol, { days }) {
+      const q = new URL(`https://api.coingecko.com/api/v3/coins/${encodeURIComponent(symbol)}/ohlc`);
+      q.searchParams.set('vs_currency', 'usd');
+      q.searchParams.set('days', String(days));
+      const arr = await fetchJson(q.toString());
+      const interval = days <= 2 ? '30m' : days <= 30 ? '4h' : '4d';
+      return { interval, candles: (arr || []).map(([t, o, h, l, c]) => ({ t, o, h, l, c, v: 0 })) };
+    }
+  });
+
+  // AlphaVantage GLOBAL_QUOTE (free tier allows 5 calls/minute); an instrument's dataSymbol overrides the symbol sent
+  registerProvider({
+    name: 'alphavantage', venues: ['stock'], perMinute: 5,
+    async quote(_venue, symbol) {
+      const key = env.ALPHAVANTAGE_KEY || '';
+      if (!key) throw new Error('ALPHAVANTAGE_KEY missing (add in Replit Secrets)');
+      const q = new URL('https://www.alphavantage.co/query');
+      q.searchParams.set('function','GLOBAL_QUOTE');
+      q.searchParams.set('symbol', instrumentFor('stock', symbol).dataSymbol || symbol);
+      q.searchParams.set('apikey', key);
+      const j = await fetchJson(q.toString());
+      const p = Number(j?.['Global Quote']?.['05. price'] || 0);
+      if (!p) throw new Error('No stock price');
+      return { price: p };
+    },
+    async history(_venue, symbol, { days }) {
+      const key = env.ALPHAVANTAGE_KEY || '';
+      if (!key) throw new Error('ALPHAVANTAGE_KEY missing (add in Replit Secrets)');
+      const q = new URL('https://www.alphavantage.co/query');
+      q.searchParams.set('function','TIME_SERIES_DAILY');
+      q.searchParams.set('symbol', instrumentFor('stock', symbol).dataSymbol || symbol);
+      q.searchParams.set('outputsize', days > 100 ? 'full' : 'compact');
+      q.searchParams.set('apikey', key);
+      const series = (await fetchJson(q.toString()))?.['Time Series (Daily)'];
+      if (!series) throw new Error('No stock history');
+      const since = clock.now() - days * 86_400_000;
+      const candles = Object.entries(series).map(([d, r]) => ({ t: Date.parse(d + 'T00:00:00Z'),
+        o: +r['1. open'], h: +r['2. high'], l: +r['3. low'], c: +r['4. close'], v: +r['5. volume'] }))
+        .filter(x => x.t >= since).sort((a, b) => a.t - b.t);
+      return { interval: '1d', candles };
+    }
+  });
+
+  // Deterministic random walk: same SIM_SEED + symbol => same price path
+  const hashStr = (s) => { let h = 2166136261; for (const c of s) h = Math.imul(h ^ c.charCodeAt(0), 16777619); return h >>> 0; };
+  function mulberry32(a) {
+    return () => { a |= 0; a = a + 0x6D2B79F5 | 0; let t = Math.imul(a ^ a >>> 15, 1 | a); t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t; return ((t ^ t >>> 14) >>> 0) / 4294967296; };
+  }
+  const simWalks = new Map(); // venue:symbol -> { rnd, price }
+  registerProvider({
+    name: 'sim', venues: ['crypto', 'stock'],
+    async quote(venue, symbol) {
+      const key = `${venue}:${symbol}`;
+      let w = simWalks.get(key);
+      if (!w) {
+        const rnd = mulberry32(hashStr(`${env.SIM_SEED || 'uat'}:${key}`));
+        w = { rnd, price: 20 + rnd() * 980 };
+        simWalks.set(key, w);
+      }
+      w.price *= 1 + (w.rnd() - 0.5) * 0.004; // +/-0.2% per step
+      return { price: w.price };
+    },
+    // Independent walk per interval so history does not disturb the live sim path
+    async history(venue, symbol, { days, interval = '1h' }) {
+      const ms = INTERVALS[interval];
+      const n = Math.min(5000, Math.floor(days * 86_400_000 / ms));
+      const rnd = mulberry32(hashStr(`${env.SIM_SEED || 'uat'}:${venue}:${symbol}:${interval}`));
+      const end = Math.floor(clock.now() / ms) * ms;
+      let px = 20 + rnd() * 980;
+      const candles = [];
+      for (let i = n; i > 0; i--) {
+        const o = px, path = [o];
+        for (let k = 0; k < 4; k++) path.push(px *= 1 + (rnd() - 0.5) * 0.01);
+        candles.push({ t: end - i * ms, o, h: Math.max(...path), l: Math.min(...path), c: px, v: Math.round(rnd() * 1000) });
+      }
+      return { interval, candles };
+    }
+  });
+
+  // Replay: REPLAY_FILE is CSV (header venue,symbol,price[,bid,ask,bidSize,askSize]) or JSONL with the same keys.
+  // Rows are served in file order per venue:symbol and wrap around at the end.
+  let replayRows = null; // venue:symbol -> { rows, i }
+  function loadReplay() {
+    if (replayRows) return replayRows;
+    const file = env.REPLAY_FILE;
+    if (!file) throw new Error('REPLAY_FILE not set');
+    const text = fs.readFileSync(file, 'utf8');
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    let rows;
+    if (/\.jsonl$/i.test(file) || lines[0]?.trim().startsWith('{')) {
+      rows = lines.map(l => JSON.parse(l));
+    } else {
+      const cols = lines.shift().split(',').map(c => c.trim());
+      rows = lines.map(l => Object.fromEntries(l.split(',').map((v, i) => [cols[i], v.trim()])));
+    }
+    replayRows = new Map();
+    for (const r of rows) {
+      const k = `${r.venue}:${r.symbol}`;
+      if (!replayRows.has(k)) replayRows.set(k, { rows: [], i: 0 });
+      replayRows.get(k).rows.push(r);
+    }
+    return replayRows;
+  }
+  registerProvider({
+    name: 'replay', venues: ['crypto', 'stock'],
+    async quote(venue, symbol) {
+      const src = loadReplay().get(`${venue}:${symbol}`);
+      if (!src) throw new Error(`No replay data for ${venue}:${symbol}`);
+      const r = src.rows[src.i++ % src.rows.length];
+      const p = Number(r.price);
+      if (!p) throw new Error('Bad replay row');
+      return { price: p, bid: Number(r.bid) || undefined, ask: Number(r.ask) || undefined,
+        bidSize: Number(r.bidSize) || undefined, askSize: Number(r.askSize) || undefined };
+    }
+  });
+
+  const lastTicks = {}; // venue:symbol -> most recent tick, used to mark positions
+  const priceHistory = {}; // venue:symbol -> last 500 mid prices, fed to indicators and strategies
+
+  // Provider call wrapper: latency (last 100 samples), error counts, and exponential backoff after
+  // HTTP 429 (at least Retry-After, 5s doubling up to 5 minutes; reset by the next success).
+  async function callProvider(prov, fn) {
+    const t0 = clock.now();
+    prov.stats.calls++;
+    try {
+      const out = await fn();
+      prov.stats.latency.push(clock.now() - t0);
+      if (prov.stats.latency.length > 100) prov.stats.latency.shift();
+      prov.backoffMs = 0;
+      return out;
+    } catch (e) {
+      prov.stats.errors++;
+      if (e.status === 429) {
+        prov.stats.throttled++;
+        prov.backoffMs = Math.min(Math.max(prov.backoffMs * 2, 5_000, e.retryAfter * 1000 || 0), 300_000);
+        prov.backoffUntil = clock.now() + prov.backoffMs;
+      }
+      throw e;
+    }
+  }
+
+  // Whether a provider may be called now; a rate token is taken when it may
+  function admit(prov, venue, errors) {
+    if (!prov || !prov.venues.includes(venue)) { errors.push(`${prov?.name}: unavailable for ${venue}`); return false; }
+    if (prov.backoffUntil > clock.now()) { errors.push(`${prov.name}: backing off after HTTP 429`); return false; }
+    if (!takeRateToken(prov)) { errors.push(`${prov.name}: rate limited`); return false; }
+    return true;
+  }
+
+  // Turns a provider quote into a tick and records it for marks, indicators and 1m candles.
+  // Prices round to the instrument's tick size (bids down, asks up), or to significant digits without one.
+  function recordTick(venue, symbol, q, source) {
+    const p = q.price, spread = p * spreadFor(venue, symbol), { tickSize } = instrumentFor(venue, symbol);
+    const bid = q.bid || p - spread/2, ask = q.ask || p + spread/2;
+    const tick = { price: roundPrice(p, tickSize), bid: roundPrice(bid, tickSize, 'down'), ask: roundPrice(ask, tickSize, 'up'), source, ts: clock.now() };
+    if (q.bidSize) tick.bidSize = q.bidSize;
+    if (q.askSize) tick.askSize = q.askSize;
+    lastTicks[`${venue}:${symbol}`] = tick;
+    const hist = priceHistory[`${venue}:${symbol}`] ||= [];
+    hist.push(tick.price);
+    if (hist.length > 500) hist.shift();
+    recordTickCandle(venue, symbol, tick.price);
+    return { ...tick };
+  }
+
+  // Fetch one symbol through the venue's provider chain (first success wins), skipping providers already tried
+  async function fetchTick(venue, symbol, skip = new Set(), errors = []) {
+    const chain = venueProviders[venue];
+    if (!chain) throw new Error('Unknown venue');
+    for (const name of chain) {
+      if (skip.has(name)) continue;
+      const prov = providers[name];
+      if (!admit(prov, venue, errors)) continue;
+      try { return recordTick(venue, symbol, await callProvider(prov, () => prov.quote(venue, symbol)), name); }
+      catch (e) { errors.push(`${name}: ${e.message}`); }
+    }
+    throw new Error(errors.join('; ') || `No provider for ${venue}`);
+  }
+
+  // ---------- Quote cache ----------
+  // getPrice serves the latest tick while it is younger than the venue TTL (QUOTE_TTL_CRYPTO / QUOTE_TTL_STOCK, ms),
+  // and concurrent requests for one symbol share a single upstream fetch. refreshQuotes is the broadcast loop's
+  // bulk path: leading batch providers in the chain (CoinGecko) price every stale symbol of a venue in one call,
+  // and whatever is left is fetched one symbol at a time with at most QUOTE_CONCURRENCY requests in flight.
+  const quoteTtl = { crypto: Number(env.QUOTE_TTL_CRYPTO || 2000), stock: Number(env.QUOTE_TTL_STOCK || 10_000) };
+  const QUOTE_CONCURRENCY = Number(env.QUOTE_CONCURRENCY || 4);
+  const inflight = new Map(); // venue:symbol -> Promise<tick>
+  const quoteStats = { hits: 0, misses: 0, coalesced: 0, errors: 0, batches: 0, batchedSymbols: 0 };
+
+  const freshTick = (venue, key) => { const t = lastTicks[key]; return t && clock.now() - t.ts < quoteTtl[venue] ? { ...t } : null; };
+
+  function trackFetch(key, promise) {
+    const p = promise.catch(e => { quoteStats.errors++; throw e; }).finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  // Cached price for one symbol: { price, bid, ask, source, ts, bidSize?, askSize? }
+  async function getPrice(venue, symbol) {
+    if (!venueProviders[venue]) throw new Error('Unknown venue');
+    const key = `${venue}:${symbol}`;
+    const hit = freshTick(venue, key);
+    if (hit) { quoteStats.hits++; return hit; }
+    if (inflight.has(key)) { quoteStats.coalesced++; return inflight.get(key); }
+    quoteStats.misses++;
+    return trackFetch(key, fetchTick(venue, symbol));
+  }
+
+  async function mapLimit(items, limit, fn) {
+    let i = 0;
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, async () => { while (i < items.length) await fn(items[i++]); }));
+  }
+
+  // Prices a list of symbols on one venue; resolves to Map symbol -> tick | Error
+  async function fetchVenueQuotes(venue, symbols) {
+    const out = new Map(), tried = new Set(), errors = [];
+    let rest = symbols;
+    for (const name of venueProviders[venue]) {
+      const prov = providers[name];
+      if (!prov?.quoteMany || !rest.length) break;
+      tried.add(name);
+      if (!admit(prov, venue, errors)) continue;
+      quoteStats.batches++;
+      quoteStats.batchedSymbols += rest.length;
+      try {
+        const quotes = await callProvider(prov, () => prov.quoteMany(venue, rest));
+        for (const s of rest) if (quotes.get(s)) out.set(s, recordTick(venue, s, quotes.get(s), name));
+        rest = rest.filter(s => !out.has(s));
+        if (rest.length) errors.push(`${name}: no price`);
+      } catch (e) { errors.push(`${name}: ${e.message}`); }
+    }
+    await mapLimit(rest, QUOTE_CONCURRENCY, async (s) => {
+      try { out.set(s, await fetchTick(venue, s, tried, [...errors])); } catch (e) { out.set(s, e); }
+    });
+    return out;
+  }
+
+  // Refreshes many venue:symbol keys at once; resolves to Map key -> tick | Error
+  async function refreshQuotes(keys) {
+    const pending = new Map(), stale = {};
+    for (const key of keys) {
+      const [venue, symbol] = key.split(':');
+      const hit = venueProviders[venue] && freshTick(venue, key);
+      if (!venueProviders[venue]) pending.set(key, Promise.reject(new Error('Unknown venue')));
+      else if (hit) { quoteStats.hits++; pending.set(key, hit); }
+      else if (inflight.has(key)) { quoteStats.coalesced++; pending.set(key, inflight.get(key)); }
+      else (stale[venue] ||= []).push(symbol);
+    }
+    for (const [venue, symbols] of Object.entries(stale)) {
+      quoteStats.misses += symbols.length;
+      const batch = fetchVenueQuotes(venue, symbols);
+      for (const s of symbols) {
+        pending.set(`${venue}:${s}`, trackFetch(`${venue}:${s}`, batch.then(m => { if (m.get(s) instanceof Error) throw m.get(s); return m.get(s); })));
+      }
+    }
+    const out = new Map();
+    await Promise.all([...pending].map(async ([key, p]) => { try { out.set(key, await p); } catch (e) { out.set(key, e); } }));
+    return out;
+  }
+
+  const latencySummary = (samples) => {
+    if (!samples.length) return null;
+    const sorted = [...samples].sort((a, b) => a - b);
+    return { last: samples[samples.length - 1], avg: Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+      p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))], max: sorted[sorted.length - 1] };
+  };
+
+  // Fetch OHLCV history through the venue's chain from the first provider that supports it
+  async function getHistory(venue, symbol, opts) {
+    const chain = venueProviders[venue];
+    if (!chain) throw new Error('Unknown venue');
+    const errors = [];
+    for (const name of chain) {
+      const prov = providers[name];
+      if (!prov?.history || !prov.venues.includes(venue) || !admit(prov, venue, errors)) continue;
+      try { return { source: name, ...await callProvider(prov, () => prov.history(venue, symbol, opts)) }; }
+      catch (e) { errors.push(`${name}: ${e.message}`); }
+    }
+    throw new Error(errors.join('; ') || `No history provider for ${venue}`);
+  }
+
+  // ---------- Candle store ----------
+  // Candles { t, o, h, l, c, v } are kept per venue:symbol:interval, sorted by open time t.
+  // Live ticks build 1m candles (v counts ticks); provider history is stored at its native interval.
+  // Closed candles are appended to CANDLES_FILE and reloaded on startup (CANDLES_FILE=off keeps them in memory).
+  const INTERVALS = { '1m': 60_000, '5m': 300_000, '15m': 900_000, '30m': 1_800_000, '1h': 3_600_000, '4h': 14_400_000, '1d': 86_400_000, '4d': 345_600_000 };
+  const CANDLES_FILE = env.CANDLES_FILE || path.join(__dirname, 'data', 'candles.jsonl');
+  const candleStore = {}; // venue:symbol:interval -> candles[]
+  const liveCandles = {}; // venue:symbol -> 1m candle still being built
+
+  function upsertCandles(venue, symbol, interval, list, persist = true) {
+    const key = `${venue}:${symbol}:${interval}`;
+    const byT = new Map((candleStore[key] || []).map(c => [c.t, c]));
+    for (const c of list) byT.set(c.t, c);
+    candleStore[key] = [...byT.values()].sort((a, b) => a.t - b.t);
+    if (persist && CANDLES_FILE !== 'off' && list.length) {
+      store.append(CANDLES_FILE, list.map(c => JSON.stringify({ venue, symbol, interval, ...c })).join('\n') + '\n');
+    }
+  }
+
+  function recordTickCandle(venue, symbol, price, ts = clock.now()) {
+    const key = `${venue}:${symbol}`;
+    const t = Math.floor(ts / INTERVALS['1m']) * INTERVALS['1m'];
+    let c = liveCandles[key];
+    if (c && c.t !== t) { upsertCandles(venue, symbol, '1m', [c]); c = null; }
+    if (!c) c = liveCandles[key] = { t, o: price, h: price, l: price, c: price, v: 0 };
+    c.h = Math.max(c.h, price); c.l = Math.min(c.l, price); c.c = price; c.v++;
+  }
+
+  function loadCandles() {
+    const text = CANDLES_FILE !== 'off' && store.read(CANDLES_FILE);
+    if (!text) return;
+    const groups = {};
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const { venue, symbol, interval, ...c } = JSON.parse(line);
+        (groups[JSON.stringify([venue, symbol, interval])] ||= []).push(c);
+      } catch { /* torn line */ }
+    }
+    for (const [k, list] of Object.entries(groups)) upsertCandles(...JSON.parse(k), list, false);
+  }
+
+  // Roll candles up into a coarser interval (bucketed by open time)
+  function aggregateCandles(list, ms) {
+    const out = [];
+    for (const c of list) {
+      const t = Math.floor(c.t / ms) * ms, last = out[out.length - 1];
+      if (last && last.t === t) { last.h = Math.max(last.h, c.h); last.l = Math.min(last.l, c.l); last.c = c.c; last.v += c.v; }
+      else out.push({ ...c, t });
+    }
+    return out;
+  }
+
+  // Stored candles for the interval, or the finest finer stored interval rolled up to it
+  function getCandles(venue, symbol, interval, from = 0, to = Infinity) {
+    const ms = INTERVALS[interval];
+    let list = candleStore[`${venue}:${symbol}:${interval}`];
+    if (!list?.length) {
+      const finer = Object.keys(INTERVALS).filter(i => INTERVALS[i] < ms && ms % INTERVALS[i] === 0
+        && candleStore[`${venue}:${symbol}:${i}`]?.length);
+      list = finer.length ? aggregateCandles(candleStore[`${venue}:${symbol}:${finer[0]}`], ms) : [];
+    }
+    return list.filter(c => c.t >= from && c.t <= to);
+  }
+
+  // ---------- Minimal indicators & recommendation ----------
+  function sma(list, n){ if (list.length < n) return null; return list.slice(-n).reduce((a,b)=>a+b,0)/n; }
+  function simpleReco(prices){
+    // BUY if last > SMA(8); SELL if last < SMA(8); else HOLD
+    if (!prices || prices.length < 8) return { action: 'HOLD', reason: 'Not enough data' };
+    const last = prices[prices.length - 1];
+    const s = sma(prices, 8);
+    if (last > s) return { action: 'BUY', reason: 'Price > SMA(8)' };
+    if (last < s) return { action: 'SELL/SHORT', reason: 'Price < SMA(8)' };
+    return { action: 'HOLD', reason: 'Near SMA(8)' };
+  }
+
+  // RSI from plain (unsmoothed) average gains and losses over the last n changes
+  function rsi(list, n){
+    if (list.length < n + 1) return null;
+    let up = 0, down = 0;
+    for (let i = list.length - n; i < list.length; i++) {
+      const d = list[i] - list[i-1];
+      if (d > 0) up += d; else down -= d;
+    }
+    if (!down) return up ? 100 : 50; // a flat window is neutral, not overbought
+    return 100 - 100 / (1 + up / down);
+  }
+
+  // ---------- Strategies ----------
+  // A strategy is { description, defaults, create(params) -> { onTick(tick, prices) -> signals[] } }.
+  // prices is the mid-price history for the symbol (latest last); a signal is { action: 'BUY'|'SELL', reason }.
+  // Instances are per bot and per symbol, so they may keep state between ticks (e.g. the previous cross).
+  const strategies = {
+    'sma-cross': {
+      description: 'BUY when SMA(fast) crosses above SMA(slow), SELL when it crosses below',
+      defaults: { fast: 5, slow: 20 },
+      create(p) {
+        let prevDiff = null;
+        return { onTick(_tick, prices) {
+          const f = sma(prices, p.fast), sl = sma(prices, p.slow);
+          if (f == null || sl == null) return [];
+          const diff = f - sl, prev = prevDiff;
+          prevDiff = diff;
+          if (prev == null) return [];
+          if (prev <= 0 && diff > 0) return [{ action: 'BUY', reason: `SMA(${p.fast}) crossed above SMA(${p.slow})` }];
+          if (prev >= 0 && diff < 0) return [{ action: 'SELL', reason: `SMA(${p.fast}) crossed below SMA(${p.slow})` }];
+          return [];
+        } };
+      }
+    },
+    rsi: {
+      description: 'BUY when RSI(period) falls below oversold, SELL when it rises above overbought',
+      defaults: { period: 14, oversold: 30, overbought: 70 },
+      create(p) {
+        let last = null;
+        return { onTick(_tick, prices) {
+          const r = rsi(prices, p.period);
+          if (r == null) return [];
+          const action = r < p.oversold ? 'BUY' : r > p.overbought ? 'SELL' : null;
+          if (!action || action === last) return [];
+          last = action;
+          return [{ action, reason: `RSI(${p.period}) ${r.toFixed(1)}` }];
+        } };
+      }
+    },
+    breakout: {
+      description: 'BUY on a new high over the lookback window, SELL on a new low',
+      defaults: { lookback: 20 },
+      create(p) {
+        let last = null;
+        return { onTick(_tick, prices) {
+          if (prices.length < p.lookback + 1) return [];
+          const px = prices[prices.length - 1], win = prices.slice(-p.lookback - 1, -1);
+          const action = px > Math.max(...win) ? 'BUY' : px < Math.min(...win) ? 'SELL' : null;
+          if (!action || action === last) return [];
+          last = action;
+          return [{ action, reason: `${action === 'BUY' ? 'High' : 'Low'} of last ${p.lookback}` }];
+        } };
+      }
+    },
+    reco: {
+      description: 'Follows simpleReco (price vs SMA(8)); trades when the recommendation changes',
+      defaults: {},
+      create() {
+        let last = null;
+        return { onTick(_tick, prices) {
+          const r = simpleReco(prices);
+          const action = r.action === 'BUY' ? 'BUY' : r.action === 'SELL/SHORT' ? 'SELL' : null;
+          if (!action || action === last) return [];
+          last = action;
+          return [{ action, reason: r.reason }];
+        } };
+      }
+    }
+  };
+
+  // ---------- API: price & mode ----------
+  app.get('/api/price', async (req, res) => {
+    try {
+      const venue = String(req.query.venue || 'crypto');
+      const symbol = canonicalSymbol(venue, req.query.symbol || 'bitcoin');
+      const tick = await getPrice(venue, symbol);
+      res.json({ ok: true, venue, symbol, currency: quoteCurrency(venue, symbol), fx: state.fxRate, ...tick });
+    } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
+  });
+
+  app.get('/api/reco', async (req, res) => {
+    try {
+      const venue = String(req.query.venue || 'crypto');
+      const symbol = canonicalSymbol(venue, req.query.symbol || 'bitcoin');
+      const tick = await getPrice(venue, symbol);
+      const prices = priceHistory[`${venue}:${symbol}`] || [];
+      res.json({ ok: true, venue, symbol, ...tick, samples: prices.length, sma8: sma(prices, 8), ...simpleReco(prices) });
+    } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
+  });
+
+  app.get('/api/providers', (_req, res) => {
+    const list = Object.values(providers).map(({ name, venues, perMinute, calls, quoteMany, backoffUntil, stats }) =>
+      ({ name, venues, perMinute, batch: !!quoteMany, usedLastMinute: calls.filter(t => clock.now() - t < 60_000).length,
+        backoffUntil: backoffUntil > clock.now() ? backoffUntil : null, calls: stats.calls, errors: stats.errors,
+        throttled: stats.throttled, latencyMs: latencySummary(stats.latency) }));
+    const { hits, misses, coalesced } = quoteStats;
+    res.json({ ok:true, chains: venueProviders, providers: list, cache: { ttlMs: quoteTtl, concurrency: QUOTE_CONCURRENCY,
+      ...quoteStats, hitRate: hits + misses + coalesced ? +((hits + coalesced) / (hits + misses + coalesced)).toFixed(3) : null,
+      cached: Object.keys(lastTicks).length, inflight: inflight.size }, broadcast: broadcastStats });
+  });
+
+  app.get('/api/mode', (_req, res) => res.json({ ok:true, mode: state.mode }));
+  app.post('/api/mode', can('admin'), express.json(), (req, res) => {
+    const { crypto, stocks } = req.body || {};
+    for (const m of [crypto, stocks]) if (m && m !== 'paper' && m !== 'live') return res.status(400).json({ ok:false, error:'mode must be paper or live' });
+    try { if (crypto === 'live' || stocks === 'live') getLiveAdapter(); }
+    catch (e) { return res.status(400).json({ ok:false, error: e.message }); }
+    if (crypto) state.mode.crypto = crypto;
+    if (stocks) state.mode.stocks = stocks;
+    journal('mode', state.mode);
+    res.json({ ok:true, mode: state.mode });
+  });
+
+  // ---------- REST: config ----------
+  // config is the effective value; runtime is the part changed through this API
+  app.get('/api/config', (_req, res) => res.json({ ok:true, config, runtime: configRuntime, fxRate: state.fxRate }));
+
+  // Body: a JSON merge patch over the runtime layer, e.g. { "spread": { "crypto": 0.0004 }, "symbolOverrides": { "stock:RELIANCE.NS": { "feeRate": 0.0003 } } }
+  app.put('/api/config', can('admin'), express.json(), (req, res) => {
+    if (!isPlainObject(req.body)) return res.status(400).json({ ok:false, error:'Body must be a JSON object' });
+    const bad = applyConfig(mergePatch(configRuntime, req.body));
+    if (bad) return res.status(400).json({ ok:false, error: bad });
+    journal('config', configRuntime);
+    res.json({ ok:true, config, runtime: configRuntime });
+  });
+
+  // ---------- REST: instruments & market hours ----------
+  // Query: ?q= matches symbol or name (listed instruments only)
+  app.get('/api/instruments', (req, res) => {
+    const q = String(req.query.q || '').toUpperCase();
+    const list = [...instruments.values()].filter(i => !q || i.symbol.includes(q) || String(i.name || '').toUpperCase().includes(q));
+    res.json({ ok:true, instruments: list });
+  });
+
+  // Any stock symbol resolves, listed or not, with its current session
+  app.get('/api/instruments/:symbol', (req, res) => {
+    const inst = instrumentFor('stock', req.params.symbol);
+    res.json({ ok:true, instrument: inst, session: sessionStatus('stock', inst.symbol) });
+  });
+
+  // Body: { name?, tickSize?, lotSize?, dataSymbol? } -- adds or updates an NSE/BSE instrument
+  app.put('/api/instruments/:symbol', can('admin'), express.json(), (req, res) => {
+    const { name, tickSize, lotSize, dataSymbol } = req.body || {};
+    const def = { symbol: canonicalSymbol('stock', req.params.symbol), ...(name != null && { name: String(name) }),
+      ...(tickSize != null && { tickSize }), ...(lotSize != null && { lotSize }), ...(dataSymbol != null && { dataSymbol: String(dataSymbol) }) };
+    const bad = validateInstrument(def);
+    if (bad) return res.status(400).json({ ok:false, error: bad });
+    journal('instrument', def);
+    res.json({ ok:true, instrument: upsertInstrument(def) });
+  });
+
+  app.get('/api/market/status', (_req, res) => {
+    const now = clock.now();
+    const exchanges = Object.fromEntries(Object.entries(MARKET_CALENDAR).map(([ex, cal]) => {
+      const s = nextSession(ex, now);
+      return [ex, { open: !!s && now >= s.open, opensAt: s?.open ?? null, closesAt: s?.close ?? null, session: `${cal.open}-${cal.close} IST`,
+        upcomingHolidays: cal.holidays.filter(d => d >= new Date(now + IST_OFFSET_MS).toISOString().slice(0, 10)).slice(0, 5) }];
+    }));
+    res.json({ ok:true, now, closedMarketOrders: CLOSED_MARKET_ORDERS, exchanges });
+  });
+
+  // ---------- WebSocket protocol (v1) ----------
+  // Client -> server, one JSON object per text frame. `v` defaults to 1; `id` (string or number) is echoed back.
+  //   { v, id, type:'subscribe',   items?:[{ venue, symbol }], channels?:[...], account?, replace? }  add (or with replace, set)
+  //   { v, id, type:'unsubscribe', items?:[{ venue, symbol }], channels?:[...], all? }                remove (or everything)
+  //   { v, id, type:'ping' }
+  // Server -> client:
+  //   welcome  { v, user, channels, heartbeatMs }           once on connect
+  //   ack      { id, for, items, channels, account }        after subscribe/unsubscribe, with the resulting sets
+  //   nack     { id, for, code, message }                   rejected message: BAD_JSON, BAD_MESSAGE, BAD_VERSION, UNKNOWN_TYPE, BAD_FIELD
+  //   pong     { id, ts }
+  //   tick     { venue, symbol, currency, price, bid, ask, source, fx, ts }   every config.tickIntervalMs per subscribed item
+  //   error    { venue, symbol, message, ts }                       price fetch failed for a subscribed item
+  //   order    { account, order }                 channel 'orders': every order change, as a full snapshot
+  //   fill     { account, fill }                  channel 'fills'
+  //   position { account, key, position }         channel 'positions': after each fill in that book
+  //   pnl      { account, summary }               channel 'pnl': after fills and every broadcast cycle
+  //   alert    { alert }                          channel 'alerts': every alert firing, whatever the account
+  // Account channels follow one account per connection (default 'default'); subscribe with `account` to switch.
+  // The server pings every WS_HEARTBEAT_MS and drops clients that have not answered the previous ping.
+  const WS_VERSION = 1;
+  const WS_CHANNELS = ['orders', 'fills', 'positions', 'pnl', 'alerts'];
+  const HEARTBEAT_MS = Number(env.WS_HEARTBEAT_MS || 30_000);
+  const clients = new Map(); // ws -> { subs: Set<string>, channels: Set<string>, account, user, alive }
+
+  const isWsItem = (it) => it && ['crypto', 'stock'].includes(it.venue) && typeof it.symbol === 'string' && /^[\w.\-^&]{1,40}$/.test(it.symbol);
+  const WS_FIELDS = {
+    items: (v) => Array.isArray(v) && v.length <= 100 && v.every(isWsItem),
+    channels: (v) => Array.isArray(v) && v.every(c => WS_CHANNELS.includes(c)),
+    account: (v) => typeof v === 'string' && !!state.accounts[v],
+    replace: (v) => typeof v === 'boolean',
+    all: (v) => typeof v === 'boolean'
+  };
+  const WS_SCHEMA = {
+    subscribe: ['items', 'channels', 'account', 'replace'],
+    unsubscribe: ['items', 'channels', 'all'],
+    ping: []
+  };
+
+  // Returns [code, message] for an invalid message, or null
+  function validateWsMessage(msg) {
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return ['BAD_MESSAGE', 'Message must be a JSON object'];
+    if (msg.id !== undefined && !['string', 'number'].includes(typeof msg.id)) return ['BAD_FIELD', 'id must be a string or number'];
+    if (msg.v !== undefined && msg.v !== WS_VERSION) return ['BAD_VERSION', `Unsupported version ${msg.v}; server speaks v${WS_VERSION}`];
+    const fields = Object.hasOwn(WS_SCHEMA, msg.type) ? WS_SCHEMA[msg.type] : null;
+    if (!fields) return ['UNKNOWN_TYPE', `Unknown type ${msg.type}; expected ${Object.keys(WS_SCHEMA).join(', ')}`];
+    for (const [k, v] of Object.entries(msg)) {
+      if (k === 'v' || k === 'id' || k === 'type') continue;
+      if (!fields.includes(k)) return ['BAD_FIELD', `Unexpected field ${k} for ${msg.type}`];
+      if (!WS_FIELDS[k](v)) return ['BAD_FIELD', `Invalid ${k}`];
+    }
+    return null;
+  }
+
+  const wsSend = (ws, frame) => { if (ws.readyState === 1) ws.send(JSON.stringify(frame)); };
+
+  // Sends a channel event to every client following that channel for the account (account null: for any account)
+  function publish(channel, account, frame) {
+    if (replaying || !clients.size) return;
+    const s = JSON.stringify(frame);
+    for (const [ws, info] of clients) {
+      if (ws.readyState === 1 && (account == null || info.account === account) && info.channels.has(channel)) ws.send(s);
+    }
+  }
+
+  function handleWsMessage(ws, info, msg) {
+    if (msg.type === 'ping') return wsSend(ws, { type:'pong', id: msg.id, ts: clock.now() });
+    const keys = (msg.items || []).map(it => `${it.venue}:${canonicalSymbol(it.venue, it.symbol)}`);
+    if (msg.type === 'subscribe') {
+      if (msg.replace) { info.subs.clear(); info.channels.clear(); }
+      for (const k of keys) info.subs.add(k);
+      for (const c of msg.channels || []) info.channels.add(c);
+      if (msg.account) info.account = msg.account;
+    } else if (msg.all) {
+      info.subs.clear(); info.channels.clear();
+    } else {
+      for (const k of keys) info.subs.delete(k);
+      for (const c of msg.channels || []) info.channels.delete(c);
+    }
+    wsSend(ws, { type:'ack', id: msg.id, for: msg.type, items: [...info.subs], channels: [...info.channels], account: info.account });
+  }
+
+  wss.on('connection', (ws, req) => {
+    const info = { subs: new Set(), channels: new Set(), account: 'default', user: req.user, alive: true };
+    clients.set(ws, info);
+    wsSend(ws, { type:'welcome', v: WS_VERSION, user: { username: req.user.username, role: req.user.role }, channels: WS_CHANNELS, heartbeatMs: HEARTBEAT_MS });
+
+    ws.on('pong', () => { info.alive = true; });
+    ws.on('message', (buf) => {
+      info.alive = true;
+      let msg;
+      try { msg = JSON.parse(buf.toString()); }
+      catch { return wsSend(ws, { type:'nack', code:'BAD_JSON', message:'Message is not valid JSON' }); }
+      const bad = validateWsMessage(msg);
+      if (bad) return wsSend(ws, { type:'nack', id: msg?.id, for: msg?.type, code: bad[0], message: bad[1] });
+      handleWsMessage(ws, info, msg);
+    });
+
+    ws.on('close', () => clients.delete(ws));
+  });
+
+  // Heartbeat: terminate clients that did not answer the previous ping
+  every(HEARTBEAT_MS, () => {
+    for (const [ws, info] of clients) {
+      if (!info.alive) { ws.terminate(); clients.delete(ws); continue; }
+      info.alive = false;
+      ws.ping();
+    }
+  });
+
+  // Pushes a fresh P/L summary to the 'pnl' followers of one account, or of every followed account
+  // (marks move with every tick). Summaries are only built for accounts someone follows.
+  function publishPnl(only) {
+    if (replaying) return;
+    const followed = new Set([...clients.values()].filter(i => i.channels.has('pnl')).map(i => i.account));
+    for (const id of followed) if (!only || id === only) publish('pnl', id, { type:'pnl', account: id, summary: accountSummary(id) });
+  }
+
+  // Broadcast loop: refresh every wanted quote at once, push ticks, then match resting orders and run bots
+  // for each key whose tick is new (a cached tick is never fed to them twice). The next cycle is scheduled
+  // when this one ends, config.tickIntervalMs (3s) after it started, so slow upstreams stretch cycles instead of overlapping them.
+  const processedTicks = {}; // venue:symbol -> ts of the last tick the loop handled
+  const broadcastStats = { cycles: 0, overruns: 0, lastMs: null, maxMs: 0 };
+
+  async function broadcastCycle() {
+    // aggregate all requested (venue:symbol)
+    const wanted = new Set();
+    for (const { subs } of clients.values()) for (const k of subs) wanted.add(k);
+    for (const [k, book] of Object.entries(orderBook)) if (book.length) wanted.add(k);
+    for (const id of botRuntime.keys()) for (const k of bots.get(id).symbols) wanted.add(k);
+    for (const r of alertRules.values()) if (r.enabled && ALERT_KINDS[r.kind].symbol) wanted.add(`${r.venue}:${r.symbol}`);
+    expireDayOrders();
+
+    for (const [key, tick] of wanted.size ? await refreshQuotes(wanted) : []) {
+      const [venue, symbol] = key.split(':');
+      try {
+        if (tick instanceof Error) throw tick;
+        const frame = { type:'tick', venue, symbol, currency: quoteCurrency(venue, symbol), fx: state.fxRate, ...tick };
+        for (const [ws, info] of clients) {
+          if (ws.readyState === 1 && info.subs.has(key)) ws.send(JSON.stringify(frame));
+        }
+        if (processedTicks[key] === tick.ts) continue;
+        processedTicks[key] = tick.ts;
+        matchRestingOrders(venue, symbol, tick);
+        await runBots(venue, symbol, tick);
+        evaluateAlerts(venue, symbol, tick);
+      } catch (e) {
+        const err = { type:'error', venue, symbol, message: e.message, ts: clock.now() };
+        for (const [ws, info] of clients) {
+          if (ws.readyState === 1 && info.subs.has(key)) ws.send(JSON.stringify(err));
+        }
+      }
+    }
+    publishPnl();
+  }
+
+  let broadcastTimer = null, broadcastStartedAt = clock.now();
+  function scheduleBroadcast(delay) {
+    if (!running) return;
+    broadcastTimer = setTimeout(async () => {
+      broadcastTimer = null;
+      const t0 = broadcastStartedAt = clock.now();
+      try { await broadcastCycle(); } catch (e) { console.error('Broadcast cycle failed:', e.message); }
+      const ms = clock.now() - t0;
+      Object.assign(broadcastStats, { cycles: broadcastStats.cycles + 1, lastMs: ms, maxMs: Math.max(broadcastStats.maxMs, ms) });
+      if (ms > config.tickIntervalMs) broadcastStats.overruns++;
+      scheduleBroadcast(Math.max(0, config.tickIntervalMs - ms));
+    }, delay);
+  }
+  // After tickIntervalMs changes: re-times the wait for the next cycle (a running cycle picks the new value up when it ends)
+  function rescheduleBroadcast() {
+    if (!broadcastTimer) return;
+    clearTimeout(broadcastTimer);
+    scheduleBroadcast(Math.max(0, broadcastStartedAt + config.tickIntervalMs - clock.now()));
+  }
+
+  // ---------- Paper trading (FIFO lots with minor units) ----------
+  const toMinor = (x, dp=2) => Math.round(Number(x) * Math.pow(10, dp));
+  const fromMinor = (m, dp=2) => (m / Math.pow(10, dp)).toFixed(dp);
+
+  const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'];
+  const TIFS = ['GTC', 'IOC', 'DAY'];
+  const SIDES = ['BUY', 'SELL', 'SHORT', 'COVER'];
+  const isBuySide = (side) => side === 'BUY' || side === 'COVER';
+
+  // One trading-day timezone for the daily loss limit, DAY expiry off-session and report days
+  const REPORT_TZ = env.REPORT_TZ || 'Asia/Kolkata';
+  const tzParts = new Intl.DateTimeFormat('en-US', { timeZone: REPORT_TZ, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+  // REPORT_TZ's offset from UTC at ts, in ms
+  function tzOffset(ts) {
+    const p = Object.fromEntries(tzParts.formatToParts(ts).map(x => [x.type, Number(x.value)]));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+  }
+  // Next midnight in REPORT_TZ after ts
+  function endOfDay(ts) {
+    const off = tzOffset(ts);
+    const midnight = (Math.floor((ts + off) / 86_400_000) + 1) * 86_400_000; // as wall-clock ms
+    return midnight - tzOffset(midnight - off);
+  }
+
+  // price is the reference mid at submission; fills carry their own execution price
+  function submitOrder({ account='default', venue, symbol, side, qty, price, mode='paper', type='MARKET', tif='GTC', limitPrice, stopPrice, product, strategyId, status='open' }) {
+    const ts = clock.now();
+    const o = { id: nextOrderId++, ts, account, venue, symbol, side, qty: Number(qty), price: Number(price), mode,
+      type, tif, filledQty: 0, status, history: [{ status, ts }] };
+    if (limitPrice != null) o.limitPrice = Number(limitPrice);
+    if (stopPrice != null) { o.stopPrice = Number(stopPrice); o.triggered = false; }
+    if (tif === 'DAY') o.expiresAt = dayExpiry(venue, symbol, ts);
+    if (product) o.product = product;
+    if (strategyId) o.strategyId = strategyId;
+    state.orders.push(o);
+    journalOrder(o);
+    return o;
+  }
+
+  // Status transitions: open -> partially_filled -> filled, or open/partially_filled -> cancelled.
+  // Live orders start as pending until the broker acks them, and may end as rejected.
+  function setOrderStatus(o, status, reason) {
+    if (o.status === status) return;
+    o.status = status;
+    o.history.push(reason ? { status, ts: clock.now(), reason } : { status, ts: clock.now() });
+  }
+
+  const openQty = (o) => +(o.qty - o.filledQty).toFixed(8);
+  const isOpenOrder = (o) => o.status === 'open' || o.status === 'partially_filled';
+
+  // extra carries broker details for live fills: { ts, feeMinor, brokerFillId }
+  function executeFill(o, qty, price, extra = {}) {
+    const fill = fillPaper({ id: o.id, ts: extra.ts || clock.now(), account: o.account, venue: o.venue, symbol: o.symbol, side: o.side, qty, price, mode: o.mode, type: o.type,
+      ...(o.product && { product: o.product }), ...(o.strategyId && { strategyId: o.strategyId }), ...(extra.brokerFillId && { brokerFillId: extra.brokerFillId }) }, extra.feeMinor);
+    o.filledQty = +(o.filledQty + qty).toFixed(8);
+    setOrderStatus(o, openQty(o) > 0 ? 'partially_filled' : 'filled');
+    journalOrder(o);
+    return fill;
+  }
+
+  function ensureBook(key, account = 'default') {
+    const books = state.positions[account] = state.positions[account] || {};
+    books[key] = books[key] || { lots: [], realizedMinor: 0 };
+    return books[key];
+  }
+
+  // ---------- Instruments, market sessions & Indian charges ----------
+  // Indian stock symbols are exchange-qualified: RELIANCE.NS (NSE) or RELIANCE.BSE (BSE). NSE:RELIANCE, BSE:RELIANCE
+  // and RELIANCE.BO are accepted on input and canonicalised. instrumentFor() gives every symbol an exchange,
+  // currency, tick size and lot size: listed symbols come from INDIAN_INSTRUMENTS, INSTRUMENTS_FILE (JSON array)
+  // and PUT /api/instruments/:symbol; other Indian symbols get their exchange's defaults; everything else is
+  // quoted in USD with no exchange session. NSE and BSE orders follow MARKET_CALENDAR (IST sessions and holidays).
+  const EXCHANGES = {
+    NSE: { suffix: '.NS', currency: 'INR', tickSize: 0.05, lotSize: 1 },
+    BSE: { suffix: '.BSE', currency: 'INR', tickSize: 0.05, lotSize: 1 }
+  };
+  const INDIAN_INSTRUMENTS = [
+    ['RELIANCE', 'Reliance Industries'], ['TCS', 'Tata Consultancy Services'], ['HDFCBANK', 'HDFC Bank'], ['INFY', 'Infosys'],
+    ['ICICIBANK', 'ICICI Bank'], ['SBIN', 'State Bank of India'], ['BHARTIARTL', 'Bharti Airtel'], ['ITC', 'ITC'],
+    ['LT', 'Larsen & Toubro'], ['HINDUNILVR', 'Hindustan Unilever'], ['KOTAKBANK', 'Kotak Mahindra Bank'], ['AXISBANK', 'Axis Bank'],
+    ['BAJFINANCE', 'Bajaj Finance'], ['MARUTI', 'Maruti Suzuki'], ['SUNPHARMA', 'Sun Pharmaceutical'], ['WIPRO', 'Wipro']
+  ].map(([s, name]) => ({ symbol: s + '.NS', name }));
+  const instruments = new Map(); // canonical stock symbol -> { venue, symbol, exchange, currency, tickSize, lotSize, name, listed }
+
+  // Reads the JSON file named by an env var (null when unset); a bad file stops startup with the variable named
+  function readJsonEnvFile(name) {
+    if (!env[name]) return null;
+    try { return JSON.parse(fs.readFileSync(env[name], 'utf8')); }
+    catch (e) { throw new Error(`${name}: ${e.message}`); }
+  }
+
+  const exchangeOf = (symbol) => /\.NS$/.test(symbol) ? 'NSE' : /\.BSE$/.test(symbol) ? 'BSE' : null;
+
+  function canonicalSymbol(venue, symbol) {
+    const s = String(symbol).trim();
+    if (venue !== 'stock') return s;
+    let m = /^(NSE|BSE):(.+)$/i.exec(s);
+    if (m) return m[2].toUpperCase() + EXCHANGES[m[1].toUpperCase()].suffix;
+    m = /^(.+)\.(NS|NSE|BSE|BO)$/i.exec(s);
+    return m ? m[1].toUpperCase() + (/^NS/i.test(m[2]) ? '.NS' : '.BSE') : s;
+  }
+
+  function instrumentFor(venue, symbol) {
+    if (venue !== 'stock') return { venue, symbol, exchange: null, currency: 'USD', tickSize: null, lotSize: null, listed: false };
+    const sym = canonicalSymbol(venue, symbol);
+    if (instruments.has(sym)) return instruments.get(sym);
+    const ex = exchangeOf(sym);
+    return ex ? { venue, symbol: sym, exchange: ex, currency: 'INR', tickSize: EXCHANGES[ex].tickSize, lotSize: EXCHANGES[ex].lotSize, listed: false }
+      : { venue, symbol: sym, exchange: null, currency: 'USD', tickSize: null, lotSize: null, listed: false };
+  }
+
+  // Returns an error string, or null when an instrument definition is usable
+  function validateInstrument({ symbol, tickSize, lotSize }) {
+    if (!exchangeOf(symbol)) return 'symbol must end in .NS or .BSE';
+    if (tickSize != null && !(Number(tickSize) > 0)) return 'tickSize must be positive';
+    if (lotSize != null && !(Number.isInteger(lotSize) && lotSize > 0)) return 'lotSize must be a positive integer';
+    return null;
+  }
+
+  function upsertInstrument(def) {
+    const symbol = canonicalSymbol('stock', def.symbol), base = instrumentFor('stock', symbol);
+    const inst = { ...base, ...def, symbol, venue: 'stock', exchange: exchangeOf(symbol), currency: 'INR', listed: true };
+    inst.tickSize = Number(inst.tickSize);
+    instruments.set(symbol, inst);
+    return inst;
+  }
+
+  for (const def of [...INDIAN_INSTRUMENTS, ...(readJsonEnvFile('INSTRUMENTS_FILE') || [])]) {
+    const bad = validateInstrument({ ...def, symbol: canonicalSymbol('stock', def.symbol) });
+    if (bad) throw new Error(`INSTRUMENTS_FILE: ${def.symbol}: ${bad}`);
+    upsertInstrument(def);
+  }
+
+  const tickDecimals = (t) => (String(t).split('.')[1] || '').length;
+  // mode: 'down' (bids), 'up' (asks) or nearest
+  function roundToTick(x, tick, mode) {
+    const n = Number(x) / tick;
+    const k = mode === 'down' ? Math.floor(n + 1e-9) : mode === 'up' ? Math.ceil(n - 1e-9) : Math.round(n);
+    return +(k * tick).toFixed(tickDecimals(tick));
+  }
+  // Only exchange instruments have a tick; the rest (crypto, US stocks) keep 8 significant digits so that
+  // sub-cent coins are not quoted at 0 / 0.01
+  function roundPrice(x, tick, mode) {
+    return tick ? roundToTick(x, tick, mode) : +Number(x).toPrecision(8);
+  }
+  const isLotMultiple = (qty, lot) => Math.abs(qty / lot - Math.round(qty / lot)) < 1e-9;
+
+  // Sessions are local IST times; holidays are YYYY-MM-DD. The built-in list is the exchanges' published equity
+  // trading holidays for 2025 and 2026; check new circulars and override with MARKET_CALENDAR_FILE
+  // ({ NSE: { open?, close?, holidays? }, BSE: ... }).
+  const IST_OFFSET_MS = 330 * 60_000;
+  const EXCHANGE_HOLIDAYS = [
+    '2025-02-26', '2025-03-14', '2025-03-31', '2025-04-10', '2025-04-14', '2025-04-18', '2025-05-01', '2025-08-15',
+    '2025-08-27', '2025-10-02', '2025-10-21', '2025-10-22', '2025-11-05', '2025-12-25',
+    '2026-01-26', '2026-03-03', '2026-03-26', '2026-03-31', '2026-04-03', '2026-04-14', '2026-05-01', '2026-05-28',
+    '2026-06-26', '2026-09-14', '2026-10-02', '2026-10-20', '2026-11-10', '2026-11-24', '2026-12-25'
+  ];
+  const MARKET_CALENDAR = {
+    NSE: { open: '09:15', close: '15:30', holidays: EXCHANGE_HOLIDAYS },
+    BSE: { open: '09:15', close: '15:30', holidays: EXCHANGE_HOLIDAYS }
+  };
+  for (const [ex, cal] of Object.entries(readJsonEnvFile('MARKET_CALENDAR_FILE') || {})) {
+    if (!MARKET_CALENDAR[ex]) throw new Error(`MARKET_CALENDAR_FILE: unknown exchange ${ex}`);
+    Object.assign(MARKET_CALENDAR[ex], cal);
+  }
+
+  const clockMs = (hhmm) => { const [h, m] = hhmm.split(':').map(Number); return (h * 60 + m) * 60_000; };
+
+  // The session in progress at ts, or the next one: { day, open, close } in epoch ms (null if none within 15 days)
+  function nextSession(exchange, ts = clock.now()) {
+    const cal = MARKET_CALENDAR[exchange];
+    const midnight = Math.floor((ts + IST_OFFSET_MS) / 86_400_000) * 86_400_000 - IST_OFFSET_MS;
+    for (let d = 0; d < 15; d++) {
+      const start = midnight + d * 86_400_000, date = new Date(start + IST_OFFSET_MS), day = date.toISOString().slice(0, 10);
+      if (date.getUTCDay() === 0 || date.getUTCDay() === 6 || cal.holidays.includes(day)) continue;
+      const open = start + clockMs(cal.open), close = start + clockMs(cal.close);
+      if (ts < close) return { day, open, close };
+    }
+    return null;
+  }
+
+  // { exchange, open, opensAt, closesAt } for exchange-traded instruments; null for ones that always trade
+  function sessionStatus(venue, symbol, ts = clock.now()) {
+    const { exchange } = instrumentFor(venue, symbol);
+    if (!MARKET_CALENDAR[exchange]) return null;
+    const s = nextSession(exchange, ts);
+    return { exchange, open: !!s && ts >= s.open, opensAt: s?.open ?? null, closesAt: s?.close ?? null };
+  }
+  const marketOpen = (venue, symbol, ts) => sessionStatus(venue, symbol, ts)?.open ?? true;
+
+  // DAY orders end with the exchange session (the next one when placed while closed), otherwise at local midnight
+  const dayExpiry = (venue, symbol, ts) => sessionStatus(venue, symbol, ts)?.closesAt ?? endOfDay(ts);
+
+  // Outside the session LIMIT/STOP orders queue for the open and IOC orders are rejected. MARKET orders are
+  // rejected too, unless CLOSED_MARKET_ORDERS=queue, in which case paper ones queue and fill on the first
+  // tick of the session. Returns true when the order must wait; throws 422 MARKET_CLOSED otherwise.
+  const CLOSED_MARKET_ORDERS = env.CLOSED_MARKET_ORDERS === 'queue' ? 'queue' : 'reject';
+  function checkSession(n, mode) {
+    const s = sessionStatus(n.venue, n.symbol);
+    if (!s || s.open) return false;
+    const queueMarket = CLOSED_MARKET_ORDERS === 'queue' && mode === 'paper';
+    if (n.tif === 'IOC' || (n.type === 'MARKET' && !queueMarket)) {
+      const when = s.opensAt ? `; opens ${new Date(s.opensAt).toISOString()}` : '';
+      throw Object.assign(new Error(`${s.exchange} is closed${when}`), { status: 422, code: 'MARKET_CLOSED', details: { exchange: s.exchange, opensAt: s.opensAt } });
+    }
+    return true;
+  }
+
+  // Indian equity charges per fill, in INR. CNC is delivery and MIS intraday. Brokerage is a rate capped per
+  // fill (max null = no cap). STT depends on side and product; stamp duty is charged on buys; exchange
+  // transaction charges depend on the exchange; GST applies to brokerage + exchange + SEBI charges.
+  // INDIA_FEES_FILE (JSON) replaces any top-level key, merging one level down.
+  const PRODUCTS = ['CNC', 'MIS'];
+  const INDIA_FEES = {
+    brokerage: { CNC: { rate: 0, max: null }, MIS: { rate: 0.0003, max: 20 } },
+    stt: { CNC: { buy: 0.001, sell: 0.001 }, MIS: { buy: 0, sell: 0.00025 } },
+    stampDuty: { CNC: 0.00015, MIS: 0.00003 },
+    exchange: { NSE: 0.0000297, BSE: 0.0000375 },
+    sebi: 0.000001,
+    gst: 0.18
+  };
+  for (const [k, v] of Object.entries(readJsonEnvFile('INDIA_FEES_FILE') || {})) {
+    INDIA_FEES[k] = v && typeof v === 'object' ? { ...INDIA_FEES[k], ...v } : v;
+  }
+
+  // ---------- Accounts & currencies ----------
+  // Each paper account holds cash per currency (minor units) and its own position books. Instruments are
+  // valued in their quote currency: crypto in USD (CoinGecko vs_currency=usd), Indian listings (.NS/.BSE/.BO)
+  // in INR, other stocks in USD. Consolidated figures convert into the account's baseCurrency via fxRate.
+  const CURRENCIES = ['USD', 'INR'];
+  const quoteCurrency = (venue, symbol) => instrumentFor(venue, symbol).currency;
+  const convert = (amount, from, to, fx = state.fxRate) => from === to ? amount : from === 'USD' ? amount * fx : amount / fx;
+
+  // cfg: { id, name?, baseCurrency?, cash?: { USD, INR } } in major units
+  function createAccount({ id, name, baseCurrency = 'INR', cash = {} }) {
+    const startingCash = Object.fromEntries(CURRENCIES.map(c => [c, Number(cash[c] || 0)]));
+    state.accounts[id] = { id, name: name || id, baseCurrency, startingCash,
+      cashMinor: Object.fromEntries(CURRENCIES.map(c => [c, toMinor(startingCash[c])])) };
+    return state.accounts[id];
+  }
+
+  const lotsQty = (book) => +(book?.lots || []).reduce((a, l) => a + l.qty, 0).toFixed(8);
+
+  // Short proceeds plus an equal margin are held back, so opening N of exposure on either side uses N of buying power.
+  // Resting paper BUY orders reserve their open notional (at the limit, stop or submit price) plus estimated charges,
+  // so several resting orders cannot all fill against the same cash. excludeId leaves out an order being amended.
+  function buyingPowerMinor(account, currency, excludeId) {
+    let reserved = 0;
+    for (const [key, book] of Object.entries(state.positions[account] || {})) {
+      const [venue, symbol] = key.split(':');
+      if (quoteCurrency(venue, symbol) !== currency) continue;
+      for (const l of book.lots) if (l.qty < 0) reserved += 2 * Math.round(l.priceMinor * -l.qty);
+    }
+    for (const o of state.orders) {
+      if (o.account !== account || o.mode !== 'paper' || o.id === excludeId || !isBuySide(o.side) || !isOpenOrder(o)) continue;
+      if (quoteCurrency(o.venue, o.symbol) !== currency) continue;
+      const qty = openQty(o), price = Number(o.limitPrice || o.stopPrice || o.price);
+      reserved += Math.round(toMinor(price) * qty) + paperCharges({ ...o, qty, price }).totalMinor;
+    }
+    return state.accounts[account].cashMinor[currency] - reserved;
+  }
+
+  // Simulated charges for one fill in minor units: NSE/BSE fills follow INDIA_FEES (parts itemises them in INR),
+  // everything else pays the configured feeRate of notional. Returns { totalMinor, parts }.
+  function paperCharges({ venue, symbol, side, qty, price, product = 'CNC' }) {
+    const inst = instrumentFor(venue, symbol), value = price * qty;
+    if (!MARKET_CALENDAR[inst.exchange]) return { totalMinor: toMinor(value * feeRateFor(venue, symbol)), parts: null };
+    const f = INDIA_FEES, buy = isBuySide(side), b = f.brokerage[product];
+    const minor = {
+      brokerage: toMinor(b.max != null ? Math.min(value * b.rate, b.max) : value * b.rate),
+      stt: toMinor(value * f.stt[product][buy ? 'buy' : 'sell']),
+      exchange: toMinor(value * f.exchange[inst.exchange]),
+      sebi: toMinor(value * f.sebi),
+      stampDuty: buy ? toMinor(value * f.stampDuty[product]) : 0
+    };
+    minor.gst = Math.round((minor.brokerage + minor.exchange + minor.sebi) * f.gst);
+    return { totalMinor: Object.values(minor).reduce((a, m) => a + m, 0),
+      parts: Object.fromEntries(Object.entries(minor).map(([k, m]) => [k, Number(fromMinor(m))])) };
+  }
+
+  // Lots carry signed qty (long > 0, short < 0); all lots in a book share one sign.
+  // Buy-side fills (BUY/COVER) close short lots FIFO, sell-side fills (SELL/SHORT) close long lots FIFO,
+  // and any quantity left over opens a new lot on the other side, so positions can flip through zero.
+  // Realized P/L on a close is net of this fill's fee share and the closed part of the lot's entry fee.
+  // applyFill mutates a { lots, realizedMinor } book and returns { realized, closedQty, closes } (realized in minor
+  // units; closes lists each lot slice this fill closed, for the tax lot report). New lots remember fx when given.
+  // The backtester calls it on its own book so both share one lot and fee model.
+  function applyFill(book, order, feeMinor, fx) {
+    const pxMinor = toMinor(order.price);
+    const dir = isBuySide(order.side) ? 1 : -1;
+
+    let realized = 0;
+    let remain = order.qty;
+    const closes = [];
+    while (remain > 0 && book.lots.length && Math.sign(book.lots[0].qty) === -dir) {
+      const lot = book.lots[0];
+      const lotQty = Math.abs(lot.qty);
+      const closeQty = Math.min(remain, lotQty);
+      const lotFee = Math.round(lot.feeMinor * closeQty / lotQty);
+      realized += Math.round((pxMinor - lot.priceMinor) * closeQty * -dir) - lotFee;
+      closes.push({ side: lot.qty > 0 ? 'long' : 'short', qty: closeQty, openTs: lot.ts, openPriceMinor: lot.priceMinor, openFeeMinor: lotFee, fx: lot.fx });
+      lot.feeMinor -= lotFee;
+      lot.qty = +(lot.qty + dir * closeQty).toFixed(8);
+      remain = +(remain - closeQty).toFixed(8);
+      if (lot.qty === 0) book.lots.shift();
+    }
+    const closeFee = Math.round(feeMinor * (order.qty - remain) / order.qty);
+    if (remain < order.qty) realized -= closeFee;
+    for (const c of closes) c.closeFeeMinor = Math.round(closeFee * c.qty / (order.qty - remain));
+    if (remain > 0) book.lots.push({ qty: dir * remain, priceMinor: pxMinor, feeMinor: feeMinor - closeFee, ts: order.ts, ...(fx && { fx }) });
+    book.realizedMinor += realized;
+    return { realized, closedQty: +(order.qty - remain).toFixed(8), closes };
+  }
+
+  // Books any fill, paper or live, into the account ledger. feeMinor is passed for broker-reported fees and,
+  // with fx, when replaying the journal so restored fills keep their recorded values; otherwise paperCharges
+  // prices the fill and Indian fills itemise the charges in fill.charges.
+  // Cash moves in the instrument's currency: buys pay notional + fee, sells receive notional - fee.
+  // Fills that close lots list them in closedLots with the open side, time, price, fx and each leg's fee share.
+  function fillPaper(order, feeMinor, fx = state.fxRate) {
+    const charges = feeMinor == null ? paperCharges(order) : null;
+    if (charges) feeMinor = charges.totalMinor;
+    const account = order.account || 'default';
+    const currency = quoteCurrency(order.venue, order.symbol);
+    const book = ensureBook(`${order.venue}:${order.symbol}`, account);
+    const { realized, closes } = applyFill(book, order, feeMinor, fx);
+    const notionalMinor = Math.round(toMinor(order.price) * order.qty);
+    state.accounts[account].cashMinor[currency] -= (isBuySide(order.side) ? notionalMinor : -notionalMinor) + feeMinor;
+    const fill = { ...order, account, currency, fx, fee: fromMinor(feeMinor), realized: fromMinor(realized) };
+    if (charges?.parts) fill.charges = charges.parts;
+    if (closes.length) fill.closedLots = closes.map(c => ({ side: c.side, qty: c.qty, openTs: c.openTs, openPrice: Number(fromMinor(c.openPriceMinor)),
+      openFx: c.fx ?? fx, openFee: Number(fromMinor(c.openFeeMinor)), closeFee: Number(fromMinor(c.closeFeeMinor)) }));
+    state.reports.push(fill);
+    journal('fill', fill);
+    const key = `${order.venue}:${order.symbol}`;
+    publish('fills', account, { type:'fill', account, fill });
+    publish('positions', account, { type:'position', account, key, position: positionsSummary(account)[key] });
+    publishPnl(account);
+    return fill;
+  }
+
+  // Unrealized P/L marks longs at the latest bid and shorts at the latest ask
+  function positionsSummary(account = 'default') {
+    const out = {};
+    for (const [key, book] of Object.entries(state.positions[account] || {})) {
+      const qty = lotsQty(book);
+      const costMinor = book.lots.reduce((a,b)=>a+b.priceMinor*b.qty,0);
+      const avgMinor = qty ? Math.round(costMinor/qty) : 0;
+      const side = qty > 0 ? 'long' : qty < 0 ? 'short' : 'flat';
+      const tick = lastTicks[key];
+      const mark = tick ? (qty < 0 ? tick.ask : tick.bid) : null;
+      const unrealizedMinor = mark != null && qty ? Math.round((toMinor(mark) - avgMinor) * qty) : 0;
+      const [venue, symbol] = key.split(':');
+      out[key] = { side, qty, currency: quoteCurrency(venue, symbol), avgPrice: Number(fromMinor(avgMinor)), mark,
+        unrealized: Number(fromMinor(unrealizedMinor)), realized: Number(fromMinor(book.realizedMinor)) };
+    }
+    return out;
+  }
+
+  // Per-currency cash, market value and P/L plus base-currency totals. Realized P/L converts at each
+  // fill's recorded fx so it does not drift with today's rate; open positions convert at the current rate.
+  function accountSummary(id) {
+    const a = state.accounts[id];
+    const positions = positionsSummary(id);
+    const ccy = Object.fromEntries(CURRENCIES.map(c => [c, { cash: Number(fromMinor(a.cashMinor[c])),
+      buyingPower: Number(fromMinor(buyingPowerMinor(id, c))), marketValue: 0, unrealized: 0, realized: 0 }]));
+    for (const p of Object.values(positions)) {
+      ccy[p.currency].marketValue += p.qty * (p.mark ?? p.avgPrice);
+      ccy[p.currency].unrealized += p.unrealized;
+      ccy[p.currency].realized += p.realized;
+    }
+    const base = a.baseCurrency;
+    let equity = 0, unrealized = 0;
+    for (const [c, v] of Object.entries(ccy)) {
+      v.marketValue = +v.marketValue.toFixed(2);
+      v.unrealized = +v.unrealized.toFixed(2);
+      v.realized = +v.realized.toFixed(2);
+      v.equity = +(v.cash + v.marketValue).toFixed(2);
+      equity += convert(v.equity, c, base);
+      unrealized += convert(v.unrealized, c, base);
+    }
+    const realized = state.reports.filter(f => (f.account || 'default') === id)
+      .reduce((s, f) => s + convert(Number(f.realized), f.currency || 'USD', base, f.fx || state.fxRate), 0);
+    return { id, name: a.name, baseCurrency: base, fx: state.fxRate, currencies: ccy,
+      equity: +equity.toFixed(2), realized: +realized.toFixed(2), unrealized: +unrealized.toFixed(2), positions };
+  }
+
+  // ---------- Order book (resting limit / stop orders) ----------
+  const orderBook = {}; // venue:symbol -> open orders in time priority
+
+  // Try to execute one resting order against a tick. Buys trade at the ask, sells at the bid.
+  // liq holds the remaining displayed size for this tick (Infinity when the feed has none).
+  function matchOrder(o, tick, liq) {
+    const buy = isBuySide(o.side);
+    const px = buy ? tick.ask : tick.bid;
+    if (o.stopPrice != null && !o.triggered) {
+      if (buy ? px < o.stopPrice : px > o.stopPrice) return null;
+      o.triggered = true;
+      o.history.push({ status: o.status, ts: clock.now(), event: 'triggered' });
+      journalOrder(o);
+    }
+    if (o.limitPrice != null && (buy ? px > o.limitPrice : px < o.limitPrice)) return null;
+    const side = buy ? 'ask' : 'bid';
+    const qty = Math.min(openQty(o), liq[side]);
+    if (!(qty > 0)) return null;
+    liq[side] -= qty;
+    return executeFill(o, qty, px);
+  }
+
+  function pruneBook(key) {
+    const book = (orderBook[key] || []).filter(isOpenOrder);
+    if (book.length) orderBook[key] = book; else delete orderBook[key];
+  }
+
+  function matchRestingOrders(venue, symbol, tick) {
+    if (!marketOpen(venue, symbol)) return [];
+    const key = `${venue}:${symbol}`;
+    const liq = { bid: tick.bidSize || Infinity, ask: tick.askSize || Infinity };
+    const fills = [];
+    for (const o of orderBook[key] || []) {
+      const f = matchOrder(o, tick, liq);
+      if (f) fills.push(f);
+    }
+    pruneBook(key);
+    return fills;
+  }
+
+  function cancelOrder(o, reason) {
+    setOrderStatus(o, 'cancelled', reason);
+    journalOrder(o);
+    pruneBook(`${o.venue}:${o.symbol}`);
+  }
+
+  function expireDayOrders(now = clock.now()) {
+    for (const book of Object.values(orderBook)) {
+      for (const o of [...book]) if (o.expiresAt && now >= o.expiresAt) cancelOrder(o, 'expired');
+    }
+  }
+
+  // Rest a non-market order, match it against the submission tick, and drop any IOC remainder
+  function placeOrder(o, tick) {
+    const key = `${o.venue}:${o.symbol}`;
+    (orderBook[key] = orderBook[key] || []).push(o);
+    const liq = { bid: tick.bidSize || Infinity, ask: tick.askSize || Infinity };
+    const fill = matchOrder(o, tick, liq);
+    if (o.tif === 'IOC' && isOpenOrder(o)) cancelOrder(o, 'ioc');
+    pruneBook(key);
+    return fill ? [fill] : [];
+  }
+
+  // Rest an order placed while its market is closed; it is first matched on a tick inside the session
+  function queueOrder(o) {
+    (orderBook[`${o.venue}:${o.symbol}`] ||= []).push(o);
+    o.history.push({ status: o.status, ts: clock.now(), event: 'queued' });
+    journalOrder(o);
+  }
+
+  // Returns an error string, or null when the order parameters are consistent
+  function validateOrderParams({ side, qty, type, tif, limitPrice, stopPrice }) {
+    if (side != null && !SIDES.includes(side)) return `side must be one of ${SIDES.join(', ')}`;
+    if (qty != null && !(Number(qty) > 0)) return 'qty must be positive';
+    if (!ORDER_TYPES.includes(type)) return `type must be one of ${ORDER_TYPES.join(', ')}`;
+    if (!TIFS.includes(tif)) return `tif must be one of ${TIFS.join(', ')}`;
+    const needsLimit = type === 'LIMIT' || type === 'STOP_LIMIT';
+    const needsStop = type === 'STOP' || type === 'STOP_LIMIT';
+    if (needsLimit && !(Number(limitPrice) > 0)) return 'limitPrice required for ' + type;
+    if (needsStop && !(Number(stopPrice) > 0)) return 'stopPrice required for ' + type;
+    return null;
+  }
+
+  // ---------- Pre-trade risk ----------
+  // checkRisk runs before submitOrder and returns null or a structured rejection { code, message, limit?, value? }.
+  // Orders that only reduce an existing position skip the position and daily-loss checks so users can flatten.
+  const riskRejections = []; // last 100 rejections, newest first
+
+  const positionQty = (key, account = 'default') => lotsQty(state.positions[account]?.[key]);
+
+  // Realized P/L since midnight in REPORT_TZ (the day the daily statement uses) across all accounts, in USD at each fill's fx
+  function dailyRealized(now = clock.now()) {
+    const start = endOfDay(now) - 86_400_000;
+    return state.reports.filter(f => f.ts >= start)
+      .reduce((a, f) => a + convert(Number(f.realized), f.currency || 'USD', 'USD', f.fx || state.fxRate), 0);
+  }
+
+  function checkRisk({ id, account = 'default', venue, symbol, side, qty, price, product, mode = 'paper' }) {
+    const { limits, kill } = state.risk;
+    const key = `${venue}:${symbol}`;
+    if (kill.global || kill[venue]) return { code: 'KILL_SWITCH', message: `Kill switch active (${kill.global ? 'global' : venue})` };
+    if (limits.denyList.includes(key)) return { code: 'SYMBOL_DENIED', message: `${key} is on the deny list` };
+    if (limits.allowList.length && !limits.allowList.includes(key)) return { code: 'SYMBOL_NOT_ALLOWED', message: `${key} is not on the allow list` };
+    if (limits.maxOrdersPerMinute) {
+      const recent = state.orders.filter(o => clock.now() - o.ts < 60_000).length;
+      if (recent >= limits.maxOrdersPerMinute) return { code: 'ORDER_RATE', message: 'Too many orders in the last minute', limit: limits.maxOrdersPerMinute, value: recent };
+    }
+    const currency = quoteCurrency(venue, symbol);
+    const usd = convert(qty * price, currency, 'USD'), inr = +convert(qty * price, currency, 'INR').toFixed(2);
+    const cap = limits.maxNotional[venue] || {};
+    if (cap.usd && usd > cap.usd) return { code: 'MAX_NOTIONAL', message: `Order notional $${usd.toFixed(2)} exceeds $${cap.usd}`, limit: cap.usd, value: +usd.toFixed(2) };
+    if (cap.inr && inr > cap.inr) return { code: 'MAX_NOTIONAL', message: `Order notional ₹${inr.toFixed(2)} exceeds ₹${cap.inr}`, limit: cap.inr, value: inr };
+
+    const before = positionQty(key, account);
+    const after = +(before + (isBuySide(side) ? qty : -qty)).toFixed(8);
+    const reducing = Math.abs(after) < Math.abs(before) && Math.sign(after) !== -Math.sign(before);
+    if (reducing) return null;
+    const maxPos = limits.maxPosition[key] ?? limits.maxPosition[venue];
+    if (maxPos != null && Math.abs(after) > maxPos) return { code: 'MAX_POSITION', message: `Position ${after} would exceed ${maxPos}`, limit: maxPos, value: after };
+    if (limits.dailyLossLimit) {
+      const pnl = dailyRealized();
+      if (pnl <= -limits.dailyLossLimit) return { code: 'DAILY_LOSS', message: `Daily realized loss $${(-pnl).toFixed(2)} reached limit`, limit: limits.dailyLossLimit, value: +pnl.toFixed(2) };
+    }
+    if (mode === 'live') return null; // the broker owns cash and buying power for live orders
+    // Only the part that opens new exposure needs buying power; the closing part of a flip frees roughly its notional
+    const flips = Math.sign(after) === -Math.sign(before);
+    const opening = flips ? Math.abs(after) : Math.abs(after) - Math.abs(before);
+    const closing = flips ? Math.abs(before) : 0;
+    const needMinor = Math.round(toMinor(price) * opening) + paperCharges({ venue, symbol, side, qty: opening, price, product }).totalMinor;
+    const availMinor = buyingPowerMinor(account, currency, id) + Math.round(toMinor(price) * closing);
+    if (needMinor > availMinor) return { code: 'BUYING_POWER', message: `Needs ${fromMinor(needMinor)} ${currency}, buying power ${fromMinor(availMinor)}`,
+      limit: Number(fromMinor(availMinor)), value: Number(fromMinor(needMinor)) };
+    return null;
+  }
+
+  // Returns an error string, or null when a (partial) limits object is well-formed
+  function validateRiskLimits(l) {
+    const posNum = (v) => v == null || (typeof v === 'number' && v > 0);
+    if (l.maxNotional != null) {
+      if (typeof l.maxNotional !== 'object') return 'maxNotional must be { venue: { usd, inr } }';
+      for (const [v, c] of Object.entries(l.maxNotional)) if (!c || !posNum(c.usd) || !posNum(c.inr)) return `maxNotional.${v} needs positive usd/inr`;
+    }
+    if (l.maxPosition != null) {
+      if (typeof l.maxPosition !== 'object') return 'maxPosition must be an object';
+      for (const [k, v] of Object.entries(l.maxPosition)) if (!posNum(v)) return `maxPosition.${k} must be positive`;
+    }
+    if (!posNum(l.dailyLossLimit)) return 'dailyLossLimit must be positive or null';
+    if (l.maxOrdersPerMinute != null && !(Number.isInteger(l.maxOrdersPerMinute) && l.maxOrdersPerMinute > 0)) return 'maxOrdersPerMinute must be a positive integer or null';
+    for (const f of ['allowList', 'denyList']) if (l[f] != null && !(Array.isArray(l[f]) && l[f].every(x => typeof x === 'string'))) return `${f} must be an array of venue:symbol strings`;
+    return null;
+  }
+
+  // Sends offsetting market orders for every open position in scope ('global' or a venue); the live account goes to the broker
+  async function flattenPositions(scope) {
+    const results = [];
+    for (const [account, books] of Object.entries(state.positions)) {
+      for (const key of Object.keys(books)) {
+        const [venue, symbol] = key.split(':');
+        const qty = positionQty(key, account);
+        if (!qty || (scope !== 'global' && venue !== scope)) continue;
+        try {
+          const params = { account, venue, symbol, side: qty > 0 ? 'SELL' : 'BUY', qty: Math.abs(qty) };
+          const { order } = account === LIVE_ACCOUNT ? await placeLiveOrder(params, { skipRisk: true }) : await placePaperOrder(params, null, { skipRisk: true });
+          results.push({ account, key, ok: true, orderId: order.id });
+        } catch (e) { results.push({ account, key, ok: false, error: e.message }); }
+      }
+    }
+    return results;
+  }
+
+  // Validates raw order params (REST body or bot signal) and fills in defaults; throws with err.status = 400.
+  // The symbol is canonicalised, qty must be whole lots, limit/stop prices round to the tick size, and
+  // NSE/BSE orders carry a product (CNC delivery by default, MIS intraday) for the charge schedule.
+  function normalizeOrder(params, defaultAccount = 'default') {
+    const { venue, side, qty, strategyId, account = defaultAccount } = params;
+    const fail = (msg) => Object.assign(new Error(msg), { status: 400 });
+    if (!venue || !params.symbol || !side || !qty) throw fail('Missing fields');
+    if (!state.accounts[account]) throw fail(`Unknown account ${account}`);
+    const inst = instrumentFor(venue, params.symbol), symbol = inst.symbol;
+    const type = String(params.type || 'MARKET').toUpperCase();
+    const tif = String(params.tif || 'GTC').toUpperCase();
+    let limitPrice = type === 'LIMIT' || type === 'STOP_LIMIT' ? params.limitPrice : undefined;
+    let stopPrice = type === 'STOP' || type === 'STOP_LIMIT' ? params.stopPrice : undefined;
+    const bad = validateOrderParams({ side, qty, type, tif, limitPrice, stopPrice });
+    if (bad) throw fail(bad);
+    if (inst.lotSize && !isLotMultiple(Number(qty), inst.lotSize)) throw fail(`qty must be a multiple of the lot size ${inst.lotSize} for ${symbol}`);
+    if (limitPrice != null) limitPrice = roundPrice(limitPrice, inst.tickSize);
+    if (stopPrice != null) stopPrice = roundPrice(stopPrice, inst.tickSize);
+    let product;
+    if (MARKET_CALENDAR[inst.exchange]) {
+      product = String(params.product || 'CNC').toUpperCase();
+      if (!PRODUCTS.includes(product)) throw fail(`product must be one of ${PRODUCTS.join(', ')}`);
+    }
+    return { account, venue, symbol, side, qty: Number(qty), type, tif, limitPrice, stopPrice, product, strategyId };
+  }
+
+  // Runs checkRisk and records/throws a rejection (err.status = 422 plus err.code/err.details)
+  function enforceRisk(n, price, mode) {
+    const reject = checkRisk({ ...n, price, mode });
+    if (!reject) return;
+    riskRejections.unshift({ ts: clock.now(), account: n.account, venue: n.venue, symbol: n.symbol, side: n.side, qty: n.qty, strategyId: n.strategyId, ...reject });
+    riskRejections.length = Math.min(riskRejections.length, 100);
+    alertOnRiskRejection(riskRejections[0]);
+    throw Object.assign(new Error(reject.message), { status: 422, code: reject.code, details: reject });
+  }
+
+  // The single paper order path shared by the REST route and strategy bots.
+  // tick may be passed in to skip a price fetch. opts.skipRisk is for internal flattening only.
+  async function placePaperOrder(params, tick, opts = {}) {
+    if (params.account === LIVE_ACCOUNT) throw Object.assign(new Error(`The ${LIVE_ACCOUNT} account only takes live orders`), { status: 400 });
+    const n = normalizeOrder(params);
+    const queued = checkSession(n, 'paper');
+    tick = tick || await getPrice(n.venue, n.symbol);
+    if (!opts.skipRisk) enforceRisk(n, Number(n.limitPrice) || tick.price, 'paper');
+    const order = submitOrder({ ...n, price: tick.price, mode:'paper' });
+    if (queued) { queueOrder(order); return { order, fills: [] }; }
+    const fills = n.type === 'MARKET' ? [executeFill(order, order.qty, isBuySide(n.side) ? tick.ask : tick.bid)] : placeOrder(order, tick);
+    return { order, fills };
+  }
+
+  // ---------- Execution adapters (live mode) ----------
+  // Live orders go to a broker through an adapter:
+  //   connect({ onEvent, onConnect })  open the push channel; onEvent gets { type: 'ack'|'fill'|'cancelled'|'rejected', brokerOrderId, clientOrderId, ... }
+  //   disconnect()                     close it for good (app close)
+  //   submit(order) -> { brokerOrderId }   throws; err.reject = true means the broker refused it (4xx)
+  //   cancel(order)                        request a cancel; the 'cancelled' event confirms it
+  //   fetchOrders() -> [{ brokerOrderId, clientOrderId, status, fills: [{ fillId, qty, price, fee, ts }] }]
+  // Live fills are booked through the same ledger as paper fills (mode 'live', broker fee), deduplicated by fillId.
+  // reconcileLive() pulls the broker's order list to recover acks or fills missed while disconnected.
+  const modeFor = (venue) => venue === 'stock' ? state.mode.stocks : state.mode.crypto;
+  const LIVE_ACCOUNT = 'live';
+
+  function createMockExchangeAdapter(baseUrl) {
+    const status = { name: 'mock', url: baseUrl, connected: false, lastError: null };
+    let sock = null, handlers = null, retry = null;
+    function connect(h) {
+      if (h) handlers = h;
+      if (sock) return;
+      sock = new WebSocket(baseUrl.replace(/^http/, 'ws') + '/ws');
+      sock.on('open', () => { status.connected = true; status.lastError = null; handlers.onConnect?.(); });
+      sock.on('message', (buf) => { try { handlers.onEvent(JSON.parse(buf.toString())); } catch { /* malformed push */ } });
+      sock.on('error', (e) => { status.lastError = e.message; });
+      sock.on('close', () => {
+        status.connected = false; sock = null;
+        clearTimeout(retry); retry = setTimeout(() => connect(), 5000);
+      });
+    }
+    function disconnect() {
+      clearTimeout(retry);
+      if (!sock) return;
+      sock.removeAllListeners('close');
+      sock.close();
+      sock = null; status.connected = false;
+    }
+    async function call(method, url, body) {
+      const r = await fetch(baseUrl + url, { method, headers: { 'content-type': 'application/json', accept: 'application/json' }, body: body && JSON.stringify(body) });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw Object.assign(new Error(j.reason || `HTTP ${r.status}`), { reject: r.status < 500 });
+      return j;
+    }
+    return {
+      status, connect, disconnect,
+      async submit(o) {
+        const j = await call('POST', '/orders', { clientOrderId: o.id, venue: o.venue, symbol: o.symbol, side: o.side, qty: o.qty,
+          type: o.type, tif: o.tif, limitPrice: o.limitPrice, stopPrice: o.stopPrice, product: o.product, refPrice: o.price });
+        return { brokerOrderId: j.brokerOrderId };
+      },
+      async cancel(o) { await call('DELETE', `/orders/${encodeURIComponent(o.brokerOrderId)}`); },
+      async fetchOrders() { return (await call('GET', '/orders')).orders; }
+    };
+  }
+
+  const executionAdapters = {
+    mock: () => createMockExchangeAdapter(env.MOCK_EXCHANGE_URL || 'http://localhost:8090')
+  };
+  let liveAdapter = null;
+
+  function getLiveAdapter() {
+    if (liveAdapter) return liveAdapter;
+    const make = executionAdapters[env.LIVE_ADAPTER || 'mock'];
+    if (!make) throw new Error(`Unknown LIVE_ADAPTER ${env.LIVE_ADAPTER}`);
+    liveAdapter = make();
+    liveAdapter.connect({ onEvent: applyBrokerEvent, onConnect: () => reconcileLive().catch(() => {}) });
+    return liveAdapter;
+  }
+
+  const findLiveOrder = (ev) => state.orders.find(o => o.mode === 'live' &&
+    ((ev.brokerOrderId && o.brokerOrderId === ev.brokerOrderId) || (ev.clientOrderId != null && o.id === Number(ev.clientOrderId))));
+
+  function applyBrokerFill(o, f) {
+    o.fillIds = o.fillIds || [];
+    if (o.fillIds.includes(f.fillId) || !(f.qty > 0)) return null;
+    o.fillIds.push(f.fillId);
+    return executeFill(o, Number(f.qty), Number(f.price), { ts: f.ts, feeMinor: toMinor(f.fee || 0), brokerFillId: f.fillId });
+  }
+
+  function applyBrokerEvent(ev) {
+    const o = findLiveOrder(ev);
+    if (!o) return;
+    if (!o.brokerOrderId && ev.brokerOrderId) o.brokerOrderId = ev.brokerOrderId;
+    if (o.status === 'pending' && ev.type !== 'rejected') setOrderStatus(o, 'open', 'ack');
+    if (ev.type === 'fill') applyBrokerFill(o, ev.fill);
+    else if (ev.type === 'cancelled' && isOpenOrder(o)) setOrderStatus(o, 'cancelled', ev.reason || 'broker');
+    else if (ev.type === 'rejected' && o.status === 'pending') setOrderStatus(o, 'rejected', ev.reason || 'broker');
+    journalOrder(o);
+  }
+
+  // Brings unfinished live orders in line with the broker's view; returns what changed
+  async function reconcileLive() {
+    const local = state.orders.filter(o => o.mode === 'live' && (o.status === 'pending' || isOpenOrder(o)));
+    if (!local.length) return { checked: 0, changes: [] };
+    const remote = await getLiveAdapter().fetchOrders();
+    const changes = [];
+    for (const o of local) {
+      const r = remote.find(x => x.brokerOrderId === o.brokerOrderId || Number(x.clientOrderId) === o.id);
+      if (!r) {
+        if (o.status === 'pending' && clock.now() - o.ts > 60_000) { setOrderStatus(o, 'rejected', 'unknown at broker'); journalOrder(o); changes.push({ id: o.id, status: o.status }); }
+        continue;
+      }
+      const before = `${o.status}/${o.filledQty}`;
+      for (const f of r.fills || []) applyBrokerFill(o, f);
+      applyBrokerEvent({ type: r.status === 'cancelled' || r.status === 'rejected' ? r.status : 'sync', brokerOrderId: r.brokerOrderId, clientOrderId: o.id, reason: 'reconcile' });
+      if (`${o.status}/${o.filledQty}` !== before) changes.push({ id: o.id, status: o.status, filledQty: o.filledQty });
+    }
+    return { checked: local.length, changes };
+  }
+
+  // Sends an order to the live adapter. Risk checks run as for paper (minus buying power); the order is
+  // journaled as pending before the broker is called, so a crash mid-submit is recovered by reconcileLive.
+  // Live orders always book to LIVE_ACCOUNT; naming a paper account is an error rather than a silent paper booking
+  async function placeLiveOrder(params, opts = {}) {
+    if (params.account != null && params.account !== LIVE_ACCOUNT) {
+      throw Object.assign(new Error(`Live orders book to the ${LIVE_ACCOUNT} account, not ${params.account}`), { status: 400 });
+    }
+    const n = normalizeOrder({ ...params, account: LIVE_ACCOUNT });
+    checkSession(n, 'live'); // resting orders go to the broker, which holds them for the open
+    const adapter = getLiveAdapter();
+    const tick = await getPrice(n.venue, n.symbol);
+    if (!opts.skipRisk) enforceRisk(n, Number(n.limitPrice) || tick.price, 'live');
+    const order = submitOrder({ ...n, price: tick.price, mode: 'live', status: 'pending' });
+    try {
+      const { brokerOrderId } = await adapter.submit(order);
+      order.brokerOrderId = brokerOrderId;
+      if (order.status === 'pending') setOrderStatus(order, 'open', 'ack');
+      journalOrder(order);
+    } catch (e) {
+      if (!e.reject) throw Object.assign(new Error(`Broker unreachable, order ${order.id} left pending: ${e.message}`), { status: 502 });
+      if (order.status === 'pending') { setOrderStatus(order, 'rejected', e.message); journalOrder(order); }
+      throw Object.assign(new Error(e.message), { status: 422, code: 'BROKER_REJECT', details: { orderId: order.id } });
+    }
+    return { order, fills: [] };
+  }
+
+  // ---------- REST: orders (dispatch by mode) ----------
+  const sendOrderError = (res, e) => res.status(e.status || 500).json({ ok:false, error: e.message, ...(e.code && { code: e.code, details: e.details }) });
+
+  app.post('/api/order', can('trader'), express.json(), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const live = modeFor(body.venue) === 'live';
+      const { order, fills } = live ? await placeLiveOrder(body) : await placePaperOrder(body);
+      res.json({ ok:true, mode: live ? 'live' : 'paper', order, fill: fills[fills.length-1] || null, fills });
+    } catch (e) { sendOrderError(res, e); }
+  });
+
+  app.delete('/api/order/:id', can('trader'), async (req, res) => {
+    const o = state.orders.find(x => x.id === Number(req.params.id));
+    if (!o) return res.status(404).json({ ok:false, error:'Order not found' });
+    if (!isOpenOrder(o)) return res.status(409).json({ ok:false, error:`Order is ${o.status}` });
+    if (o.mode !== 'live') { cancelOrder(o, 'user'); return res.json({ ok:true, order: o }); }
+    try {
+      await getLiveAdapter().cancel(o);
+      res.json({ ok:true, order: o, note: 'cancel requested; status changes when the broker confirms' });
+    } catch (e) { res.status(e.reject ? 409 : 502).json({ ok:false, error: e.message }); }
+  });
+
+  app.get('/api/live/status', (_req, res) => {
+    const open = state.orders.filter(o => o.mode === 'live' && (o.status === 'pending' || isOpenOrder(o))).length;
+    res.json({ ok:true, mode: state.mode, adapter: liveAdapter?.status || null, openLiveOrders: open });
+  });
+
+  app.post('/api/live/reconcile', can('trader'), async (_req, res) => {
+    try { res.json({ ok:true, ...await reconcileLive() }); }
+    catch (e) { res.status(502).json({ ok:false, error: e.message }); }
+  });
+
+  // ---------- REST: paper orders & reports ----------
+  app.post('/api/paper/order', can('trader'), express.json(), async (req, res) => {
+    try {
+      const { order, fills } = await placePaperOrder(req.body || {});
+      res.json({ ok:true, order, fill: fills[fills.length-1] || null, fills });
+    } catch(e){ sendOrderError(res, e); }
+  });
 
-const usdToInr = (usd) => Number((usd * state.fxRate).toFixed(2));
-
-// Update USD/INR once a minute
-async function refreshFx() {
-  try {
-    const j = await fetchJson('https://api.exchangerate.host/latest?base=USD&symbols=INR');
-    const rate = Number(j?.rates?.INR);
-    if (rate) state.fxRate = rate;
-  } catch (_) { /* keep old rate */ }
-}
-setInterval(refreshFx, 60_000);
-refreshFx();
-
-// Fetch a price (crypto via CoinGecko, stocks via AlphaVantage if key present)
-async function getPrice(venue, symbol) {
-  if (venue === 'crypto') {
-    // symbol is a coingecko id: bitcoin, ethereum, solana
-    const q = new URL('https://api.coingecko.com/api/v3/coins/markets');
-    q.searchParams.set('vs_currency', 'usd');
-    q.searchParams.set('ids', symbol);
-    const arr = await fetchJson(q.toString());
-    const p = Number(arr?.[0]?.current_price || 0);
-    if (!p) throw new Error('No crypto price');
-    const spread = p * 0.0006;
-    return { price: +p.toFixed(2), bid: +(p - spread/2).toFixed(2), ask: +(p + spread/2).toFixed(2) };
-  } else if (venue === 'stock') {
-    const key = process.env.ALPHAVANTAGE_KEY || '';
-    if (!key) throw new Error('ALPHAVANTAGE_KEY missing (add in Replit Secrets)');
-    const q = new URL('https://www.alphavantage.co/query');
-    q.searchParams.set('function','GLOBAL_QUOTE');
-    q.searchParams.set('symbol', symbol);
-    q.searchParams.set('apikey', key);
-    const j = await fetchJson(q.toString());
-    const p = Number(j?.['Global Quote']?.['05. price'] || 0);
-    if (!p) throw new Error('No stock price');
-    const spread = p * 0.0008;
-    return { price: +p.toFixed(2), bid: +(p - spread/2).toFixed(2), ask: +(p + spread/2).toFixed(2) };
-  }
-  throw new Error('Unknown venue');
-}
-
-// ---------- Minimal indicators & recommendation ----------
-function sma(list, n){ if (list.length < n) return null; return list.slice(-n).reduce((a,b)=>a+b,0)/n; }
-function simpleReco(prices){
-  // BUY if last > SMA(8); SELL if last < SMA(8); else HOLD
-  if (!prices || prices.length < 8) return { action: 'HOLD', reason: 'Not enough data' };
-  const last = prices[prices.length - 1];
-  const s = sma(prices, 8);
-  if (last > s) return { action: 'BUY', reason: 'Price > SMA(8)' };
-  if (last < s) return { action: 'SELL/SHORT', reason: 'Price < SMA(8)' };
-  return { action: 'HOLD', reason: 'Near SMA(8)' };
-}
-
-// ---------- API: price & mode ----------
-app.get('/api/price', async (req, res) => {
-  try {
-    const venue = String(req.query.venue || 'crypto');
-    const symbol = String(req.query.symbol || 'bitcoin');
-    const tick = await getPrice(venue, symbol);
-    res.json({ ok: true, venue, symbol, fx: state.fxRate, ...tick });
-  } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
-});
+  app.get('/api/risk', (_req, res) => res.json({ ok:true, ...state.risk, dailyRealized: +dailyRealized().toFixed(2), rejections: riskRejections }));
 
-app.get('/api/mode', (_req, res) => res.json({ ok:true, mode: state.mode }));
-app.post('/api/mode', express.json(), (req, res) => {
-  const { crypto, stocks } = req.body || {};
-  if (crypto) state.mode.crypto = crypto;
-  if (stocks) state.mode.stocks = stocks;
-  res.json({ ok:true, mode: state.mode });
-});
+  // Merges the given keys into the current limits (each top-level key is replaced wholesale)
+  app.put('/api/risk/limits', can('admin'), express.json(), (req, res) => {
+    const body = req.body || {};
+    const bad = validateRiskLimits(body);
+    if (bad) return res.status(400).json({ ok:false, error: bad });
+    for (const k of Object.keys(state.risk.limits)) if (k in body) state.risk.limits[k] = body[k];
+    journal('risk', state.risk);
+    res.json({ ok:true, limits: state.risk.limits });
+  });
 
-// ---------- WebSocket streaming (subscribe to symbols) ----------
-const clients = new Map(); // ws -> { subs: Set<string> }
+  // Body: { scope: 'global'|'crypto'|'stock', on: boolean, flatten?: boolean }
+  // Turning a switch on cancels resting orders in scope (live ones via the broker); flatten also closes open positions.
+  app.post('/api/risk/kill', can('admin'), express.json(), async (req, res) => {
+    const { scope = 'global', on = true, flatten = false } = req.body || {};
+    if (!Object.hasOwn(state.risk.kill, scope)) return res.status(400).json({ ok:false, error:'scope must be global, crypto or stock' });
+    state.risk.kill[scope] = !!on;
+    journal('risk', state.risk);
+    let cancelled = 0;
+    if (on) for (const o of state.orders) {
+      if (!isOpenOrder(o) || (scope !== 'global' && o.venue !== scope)) continue;
+      if (o.mode === 'live') getLiveAdapter().cancel(o).catch(() => {}); else cancelOrder(o, 'kill_switch');
+      cancelled++;
+    }
+    const flattened = on && flatten ? await flattenPositions(scope) : [];
+    res.json({ ok:true, kill: state.risk.kill, cancelled, flattened });
+  });
 
-wss.on('connection', (ws) => {
-  clients.set(ws, { subs: new Set() });
+  // ---------- Strategy bots ----------
+  // A bot runs one strategy over one or more venue:symbol keys on the tick loop. A BUY signal targets
+  // +size, a SELL signal targets -size (or flat when allowShort is false), and the difference to the
+  // bot's own position is sent as a market order through placePaperOrder tagged with strategyId.
+  // Bot config is journaled so running bots restart after a redeploy.
+  const bots = new Map(); // id -> bot config + status (serializable)
+  const botRuntime = new Map(); // id -> { instances: { key -> strategy instance } }
+  let nextBotId = 1;
 
-  ws.on('message', (buf) => {
-    try {
-      const msg = JSON.parse(buf.toString());
-      if (msg.type === 'subscribe' && Array.isArray(msg.items)) {
-        const set = clients.get(ws).subs;
-        set.clear();
-        for (const it of msg.items) {
-          if (it?.venue && it?.symbol) set.add(`${it.venue}:${it.symbol}`);
-        }
-        ws.send(JSON.stringify({ type:'subscribed', items:[...set] }));
+  function startBot(bot) {
+    const strat = strategies[bot.strategy];
+    const instances = {};
+    for (const key of bot.symbols) instances[key] = strat.create(bot.params);
+    botRuntime.set(bot.id, { instances });
+    bots.set(bot.id, bot);
+  }
+
+  function stopBot(bot) {
+    bot.status = 'stopped';
+    bot.stoppedAt = clock.now();
+    botRuntime.delete(bot.id);
+    journal('bot', bot);
+  }
+
+  // Net filled qty of this bot's orders on a key, derived from fills so it survives restarts
+  function botPosition(botId, key) {
+    return +state.reports.filter(f => f.strategyId === botId && `${f.venue}:${f.symbol}` === key)
+      .reduce((a, f) => a + (isBuySide(f.side) ? f.qty : -f.qty), 0).toFixed(8);
+  }
+
+  // sizing is { qty } or { notional } in quote currency; stocks round down to whole lots (lot size 1 unless listed)
+  function orderSize(sizing, venue, symbol, price) {
+    const { qty, notional } = sizing;
+    if (qty) return Number(qty);
+    const q = Number(notional) / price;
+    const lot = instrumentFor(venue, symbol).lotSize || (venue === 'stock' ? 1 : 0);
+    return lot ? Math.floor(q / lot + 1e-9) * lot : +q.toFixed(6);
+  }
+
+  const signalTarget = (sig, size, allowShort) => sig.action === 'BUY' ? size : allowShort ? -size : 0;
+
+  // Validates a strategy name, params (numeric, known keys) and sizing; returns { error } or { params }
+  function resolveStrategy({ strategy, params = {}, sizing = {} }) {
+    const strat = Object.hasOwn(strategies, strategy) ? strategies[strategy] : null;
+    if (!strat) return { error: `strategy must be one of ${Object.keys(strategies).join(', ')}` };
+    if (!(Number(sizing.qty) > 0) && !(Number(sizing.notional) > 0)) return { error: 'sizing needs qty or notional' };
+    const merged = { ...strat.defaults };
+    for (const [k, v] of Object.entries(params)) {
+      if (!Object.hasOwn(strat.defaults, k) || !Number.isFinite(Number(v))) return { error: `Bad param ${k}` };
+      merged[k] = Number(v);
+    }
+    return { params: merged };
+  }
+
+  async function runBots(venue, symbol, tick) {
+    if (!marketOpen(venue, symbol)) return; // strategies only see in-session ticks
+    const key = `${venue}:${symbol}`;
+    const prices = priceHistory[key] || [];
+    for (const [id, rt] of botRuntime) {
+      const bot = bots.get(id), inst = rt.instances[key];
+      if (!inst) continue;
+      for (const sig of inst.onTick(tick, prices)) {
+        bot.signals.unshift({ ts: clock.now(), key, ...sig });
+        bot.signals.length = Math.min(bot.signals.length, 50);
+        const size = orderSize(bot.sizing, venue, symbol, tick.price);
+        if (!size) { bot.lastError = 'Sizing rounds to zero qty'; continue; }
+        const delta = +(signalTarget(sig, size, bot.allowShort) - botPosition(id, key)).toFixed(8);
+        if (!delta) continue;
+        try {
+          await placePaperOrder({ account: bot.account, venue, symbol, side: delta > 0 ? 'BUY' : 'SELL', qty: Math.abs(delta), strategyId: id }, tick);
+          bot.lastError = null;
+        } catch (e) { bot.lastError = e.message; }
       }
-    } catch { /* ignore */ }
+    }
+  }
+
+  app.get('/api/bots', (_req, res) => {
+    const list = [...bots.values()].map(b => ({ ...b,
+      positions: Object.fromEntries(b.symbols.map(k => [k, botPosition(b.id, k)])) }));
+    const available = Object.fromEntries(Object.entries(strategies).map(([k, v]) => [k, { description: v.description, defaults: v.defaults }]));
+    res.json({ ok:true, bots: list, strategies: available });
   });
 
-  ws.on('close', () => clients.delete(ws));
-});
+  // Body: { strategy, params?, symbols: ['crypto:bitcoin', ...], sizing: { qty } | { notional }, allowShort?, account? }
+  app.post('/api/bots', can('trader'), express.json(), (req, res) => {
+    const { strategy, symbols, sizing = {}, allowShort = false, account = 'default' } = req.body || {};
+    const { error, params } = resolveStrategy(req.body || {});
+    if (error) return res.status(400).json({ ok:false, error });
+    if (!state.accounts[account]) return res.status(400).json({ ok:false, error:`Unknown account ${account}` });
+    if (account === LIVE_ACCOUNT) return res.status(400).json({ ok:false, error:'Bots trade paper accounts only' });
+    const keys = (Array.isArray(symbols) ? symbols : []).map(String).filter(k => /^(crypto|stock):.+/.test(k))
+      .map(k => { const venue = k.slice(0, k.indexOf(':')); return `${venue}:${canonicalSymbol(venue, k.slice(venue.length + 1))}`; });
+    if (!keys.length) return res.status(400).json({ ok:false, error:'symbols must list venue:symbol keys' });
+    const bot = { id: `bot-${nextBotId++}`, account, strategy, params, symbols: [...new Set(keys)], sizing,
+      allowShort: !!allowShort, status: 'running', startedAt: clock.now(), signals: [], lastError: null };
+    startBot(bot);
+    journal('bot', bot);
+    res.json({ ok:true, bot });
+  });
+
+  app.delete('/api/bots/:id', can('trader'), (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ ok:false, error:'Bot not found' });
+    if (bot.status === 'running') stopBot(bot);
+    res.json({ ok:true, bot });
+  });
+
+  // ---------- Alerts ----------
+  // A rule watches one venue:symbol on the tick loop and fires when its condition turns true. It re-arms
+  // once the condition is false again, and cooldownSec (default 300) spaces out repeat firings.
+  // risk_rejection rules watch order flow instead of ticks. Kinds and params:
+  //   price_cross     { level, direction: 'up'|'down'|'any' }   mid crosses level between two ticks
+  //   pct_move        { pct, windowSec }                          |move| from the oldest tick in the window reaches pct
+  //   reco_change     { to? }                                     simpleReco action changes (optionally only to `to`)
+  //   position_pnl    { account, above?, below? }                 position unrealized P/L (quote currency) reaches a bound
+  //   risk_rejection  { code? }                                   a pre-trade check rejects an order (venue/symbol optional)
+  // Each firing goes into alertHistory (last 500, journaled) and is pushed on the WebSocket 'alerts' channel.
+  // It is also POSTed to the rule's webhook, or to ALERT_WEBHOOK_URL if the rule has none.
+  // A webhook with a secret gets X-UAT-Timestamp and X-UAT-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${body}`>.
+  // Network errors, 429 and 5xx responses are retried after 2s, 10s, 50s and 250s.
+  const ALERT_KINDS = {
+    price_cross:    { symbol: true,  params: { level: 'number', direction: 'up|down|any' }, required: ['level'], defaults: { direction: 'any' } },
+    pct_move:       { symbol: true,  params: { pct: 'number', windowSec: 'number' }, required: ['pct'], defaults: { windowSec: 300 } },
+    reco_change:    { symbol: true,  params: { to: 'BUY|SELL/SHORT|HOLD' }, required: [], defaults: {} },
+    position_pnl:   { symbol: true,  params: { account: 'string', above: 'number', below: 'number' }, required: [], defaults: { account: 'default' } },
+    risk_rejection: { symbol: false, params: { code: 'string' }, required: [], defaults: {} }
+  };
+  const WEBHOOK_BACKOFF_MS = [2_000, 10_000, 50_000, 250_000];
+  const alertRules = new Map();   // id -> rule (serializable)
+  const alertRuntime = new Map(); // id -> { armed, prevPrice, reco }
+  const alertSeries = {};         // venue:symbol -> [[ts, price]] for pct_move windows
+  const alertHistory = [];        // newest first
+  const webhookAbort = new AbortController(); // aborted by close(): ends backoff waits and in-flight requests
+  const webhookDeliveries = new Set();        // pending deliverWebhook promises, awaited by close()
+  let nextAlertId = 1, nextAlertEventId = 1;
+
+  const alertView = ({ webhook, ...r }) => ({ ...r, webhook: webhook ? { url: webhook.url, signed: !!webhook.secret } : null });
+
+  // Validates a rule body (full, or merged with the stored rule for PATCH); returns { error } or { rule }
+  function resolveAlert({ name, kind, venue, symbol, params = {}, cooldownSec = 300, webhook = null, enabled = true }) {
+    const spec = Object.hasOwn(ALERT_KINDS, kind) ? ALERT_KINDS[kind] : null;
+    if (!spec) return { error: `kind must be one of ${Object.keys(ALERT_KINDS).join(', ')}` };
+    if (spec.symbol && (!['crypto', 'stock'].includes(venue) || !symbol)) return { error: `${kind} needs venue (crypto|stock) and symbol` };
+    if (venue && !['crypto', 'stock'].includes(venue)) return { error: 'venue must be crypto or stock' };
+    const merged = { ...spec.defaults };
+    for (const [k, v] of Object.entries(params || {})) {
+      const t = Object.hasOwn(spec.params, k) ? spec.params[k] : null;
+      if (!t) return { error: `Unknown param ${k} for ${kind}` };
+      if (t === 'number' ? !Number.isFinite(Number(v)) : t === 'string' ? typeof v !== 'string' : !t.split('|').includes(v)) return { error: `Bad param ${k}` };
+      merged[k] = t === 'number' ? Number(v) : v;
+    }
+    for (const k of spec.required) if (merged[k] == null) return { error: `${kind} needs param ${k}` };
+    if (kind === 'pct_move' && !(merged.pct > 0 && merged.windowSec > 0 && merged.windowSec <= 86_400)) return { error: 'pct_move needs pct > 0 and windowSec in 1..86400' };
+    if (kind === 'position_pnl') {
+      if (merged.above == null && merged.below == null) return { error: 'position_pnl needs above or below' };
+      if (!state.accounts[merged.account]) return { error: `Unknown account ${merged.account}` };
+    }
+    if (!(Number(cooldownSec) >= 0)) return { error: 'cooldownSec must be >= 0' };
+    if (webhook && !/^https?:\/\/\S+$/.test(String(webhook.url || ''))) return { error: 'webhook.url must be an http(s) URL' };
+    if (symbol) symbol = canonicalSymbol(venue, symbol);
+    return { rule: { name: String(name || `${kind} ${symbol || ''}`.trim()).slice(0, 80), kind, venue: venue || null, symbol: symbol || null,
+      params: merged, cooldownSec: Number(cooldownSec), webhook: webhook ? { url: webhook.url, secret: webhook.secret || null } : null, enabled: !!enabled } };
+  }
+
+  // POSTs one event, retrying transient failures; progress is kept on the event's deliveries.
+  // Deliveries still pending when the app closes end as 'cancelled'.
+  async function deliverWebhook(ev, url, secret) {
+    const d = { url, status: 'pending', attempts: 0, lastError: null };
+    ev.deliveries.push(d);
+    const body = JSON.stringify({ type: 'alert', alert: { ...ev, deliveries: undefined } });
+    const { signal } = webhookAbort;
+    while (!signal.aborted) {
+      d.attempts++;
+      const ts = String(clock.now());
+      const headers = { 'content-type': 'application/json', 'x-uat-timestamp': ts, 'x-uat-event': String(ev.id) };
+      if (secret) headers['x-uat-signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(`${ts}.${body}`).digest('hex');
+      try {
+        const r = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.any([signal, AbortSignal.timeout(10_000)]) });
+        if (r.ok) { d.status = 'delivered'; d.lastError = null; return; }
+        d.lastError = `HTTP ${r.status}`;
+        if (r.status < 500 && r.status !== 429) { d.status = 'failed'; return; }
+      } catch (e) { d.lastError = e.message; }
+      if (d.attempts > WEBHOOK_BACKOFF_MS.length) { d.status = 'failed'; return; }
+      await sleep(WEBHOOK_BACKOFF_MS[d.attempts - 1], null, { signal }).catch(() => {});
+    }
+    d.status = 'cancelled';
+  }
+
+  function fireAlert(rule, message, data = {}, { force = false } = {}) {
+    const now = clock.now();
+    if (!force && rule.lastFiredAt && now - rule.lastFiredAt < rule.cooldownSec * 1000) return null;
+    rule.lastFiredAt = now;
+    rule.fireCount = (rule.fireCount || 0) + 1;
+    const ev = { id: nextAlertEventId++, ts: now, ruleId: rule.id, name: rule.name, kind: rule.kind,
+      venue: rule.venue, symbol: rule.symbol, message, data, ...(force && { test: true }), deliveries: [] };
+    alertHistory.unshift(ev);
+    alertHistory.length = Math.min(alertHistory.length, 500);
+    journal('alert_event', ev);
+    publish('alerts', null, { type:'alert', alert: ev });
+    const url = rule.webhook?.url || env.ALERT_WEBHOOK_URL;
+    const secret = rule.webhook ? rule.webhook.secret : env.ALERT_WEBHOOK_SECRET;
+    if (url) {
+      const p = deliverWebhook(ev, url, secret).finally(() => webhookDeliveries.delete(p));
+      webhookDeliveries.add(p);
+    }
+    return ev;
+  }
+
+  // Returns a message when the rule's condition holds on this tick, else null
+  function checkAlert(rule, rt, key, tick) {
+    const p = rule.params, prev = rt.prevPrice;
+    rt.prevPrice = tick.price;
+    if (rule.kind === 'price_cross') {
+      if (prev == null) return null;
+      const up = prev < p.level && tick.price >= p.level, down = prev > p.level && tick.price <= p.level;
+      if ((up && p.direction !== 'down') || (down && p.direction !== 'up')) return `${rule.symbol} crossed ${up ? 'above' : 'below'} ${p.level} at ${tick.price}`;
+    } else if (rule.kind === 'pct_move') {
+      const base = alertSeries[key].find(([t]) => t >= tick.ts - p.windowSec * 1000);
+      const move = base && base[0] !== tick.ts ? (tick.price / base[1] - 1) * 100 : 0;
+      if (Math.abs(move) >= p.pct) return `${rule.symbol} moved ${move.toFixed(2)}% in ${Math.round((tick.ts - base[0]) / 1000)}s to ${tick.price}`;
+    } else if (rule.kind === 'reco_change') {
+      const action = simpleReco(priceHistory[key]).action, was = rt.reco;
+      rt.reco = action;
+      if (was && was !== action && (!p.to || action === p.to)) return `${rule.symbol} recommendation ${was} -> ${action}`;
+    } else if (rule.kind === 'position_pnl') {
+      const pos = positionsSummary(p.account)[key];
+      if (pos?.qty && p.above != null && pos.unrealized >= p.above) return `${key} unrealized ${pos.unrealized} ${pos.currency} >= ${p.above}`;
+      if (pos?.qty && p.below != null && pos.unrealized <= p.below) return `${key} unrealized ${pos.unrealized} ${pos.currency} <= ${p.below}`;
+    }
+    return null;
+  }
+
+  function evaluateAlerts(venue, symbol, tick) {
+    const key = `${venue}:${symbol}`;
+    const rules = [...alertRules.values()].filter(r => r.enabled && r.venue === venue && r.symbol === symbol && r.kind !== 'risk_rejection');
+    if (!rules.length) return;
+    const series = alertSeries[key] ||= [];
+    series.push([tick.ts, tick.price]);
+    const keepMs = Math.max(0, ...rules.filter(r => r.kind === 'pct_move').map(r => r.params.windowSec * 1000));
+    while (series.length > 1 && (series[0][0] < tick.ts - keepMs || series.length > 5000)) series.shift();
+    for (const r of rules) {
+      const rt = alertRuntime.get(r.id) || alertRuntime.set(r.id, { armed: true }).get(r.id);
+      const hit = checkAlert(r, rt, key, tick);
+      if (!hit) rt.armed = true;
+      else if (rt.armed) { rt.armed = false; fireAlert(r, hit, { price: tick.price, bid: tick.bid, ask: tick.ask }); }
+    }
+  }
+
+  function alertOnRiskRejection(rej) {
+    for (const r of alertRules.values()) {
+      if (!r.enabled || r.kind !== 'risk_rejection' || (r.params.code && r.params.code !== rej.code)) continue;
+      if ((r.venue && r.venue !== rej.venue) || (r.symbol && r.symbol !== rej.symbol)) continue;
+      fireAlert(r, `${rej.code} on ${rej.venue}:${rej.symbol}: ${rej.message}`, rej);
+    }
+  }
+
+  app.get('/api/alerts', (_req, res) => {
+    const kinds = Object.fromEntries(Object.entries(ALERT_KINDS).map(([k, v]) => [k, { needsSymbol: v.symbol, params: v.params, defaults: v.defaults }]));
+    res.json({ ok:true, rules: [...alertRules.values()].map(alertView), kinds });
+  });
+
+  // Query: ?ruleId=&limit= (newest first, default 100)
+  app.get('/api/alerts/history', (req, res) => {
+    const rows = alertHistory.filter(e => !req.query.ruleId || e.ruleId === req.query.ruleId);
+    res.json({ ok:true, events: rows.slice(0, Math.min(Number(req.query.limit) || 100, 500)) });
+  });
+
+  // Body: { kind, venue?, symbol?, params, name?, cooldownSec?, webhook?: { url, secret? }, enabled? }
+  app.post('/api/alerts', can('trader'), express.json(), (req, res) => {
+    const { error, rule } = resolveAlert(req.body || {});
+    if (error) return res.status(400).json({ ok:false, error });
+    Object.assign(rule, { id: `alert-${nextAlertId++}`, createdBy: req.user.username, createdAt: clock.now(), lastFiredAt: null, fireCount: 0 });
+    alertRules.set(rule.id, rule);
+    journal('alert', rule);
+    res.json({ ok:true, rule: alertView(rule) });
+  });
 
-// broadcast ticks every 3 seconds
-setInterval(async () => {
-  // aggregate all requested (venue:symbol)
-  const wanted = new Set();
-  for (const { subs } of clients.values()) for (const k of subs) wanted.add(k);
-  if (!wanted.size) return;
+  // Body: any of the POST fields; params replace the stored params. Omit webhook to keep it, send null to remove it.
+  app.patch('/api/alerts/:id', can('trader'), express.json(), (req, res) => {
+    const cur = alertRules.get(req.params.id);
+    if (!cur) return res.status(404).json({ ok:false, error:'Alert not found' });
+    const { error, rule } = resolveAlert({ ...cur, ...(req.body || {}), kind: cur.kind });
+    if (error) return res.status(400).json({ ok:false, error });
+    const next = { ...cur, ...rule };
+    alertRules.set(cur.id, next);
+    alertRuntime.delete(cur.id);
+    journal('alert', next);
+    res.json({ ok:true, rule: alertView(next) });
+  });
+
+  app.delete('/api/alerts/:id', can('trader'), (req, res) => {
+    const rule = alertRules.get(req.params.id);
+    if (!rule) return res.status(404).json({ ok:false, error:'Alert not found' });
+    alertRules.delete(rule.id);
+    alertRuntime.delete(rule.id);
+    journal('alert', { ...rule, deleted: true });
+    res.json({ ok:true });
+  });
+
+  // Fires a test event through every delivery path, ignoring the cooldown
+  app.post('/api/alerts/:id/test', can('trader'), (req, res) => {
+    const rule = alertRules.get(req.params.id);
+    if (!rule) return res.status(404).json({ ok:false, error:'Alert not found' });
+    res.json({ ok:true, event: fireAlert(rule, `Test of ${rule.name}`, {}, { force: true }) });
+  });
+
+  // ---------- Candles & backtesting ----------
+  // live is the 1m candle still being built from ticks (not yet in the store)
+  app.get('/api/candles', (req, res) => {
+    const venue = String(req.query.venue || 'crypto');
+    const symbol = canonicalSymbol(venue, req.query.symbol || 'bitcoin');
+    const interval = String(req.query.interval || '1m');
+    if (!Object.hasOwn(INTERVALS, interval)) return res.status(400).json({ ok:false, error:`interval must be one of ${Object.keys(INTERVALS).join(', ')}` });
+    const candles = getCandles(venue, symbol, interval, Number(req.query.from || 0), Number(req.query.to || clock.now()));
+    res.json({ ok:true, venue, symbol, interval, candles, live: liveCandles[`${venue}:${symbol}`] || null });
+  });
 
-  for (const key of wanted) {
-    const [venue, symbol] = key.split(':');
+  // Body: { venue, symbol, days?, interval? } -- pulls provider history into the store
+  app.post('/api/candles/ingest', can('trader'), express.json(), async (req, res) => {
     try {
-      const tick = await getPrice(venue, symbol);
-      const frame = { type:'tick', venue, symbol, fx: state.fxRate, ...tick, ts: Date.now() };
-      for (const [ws, info] of clients) {
-        if (ws.readyState === 1 && info.subs.has(key)) ws.send(JSON.stringify(frame));
+      const { venue, symbol, days = 30, interval = '1h' } = req.body || {};
+      if (!venue || !symbol) return res.status(400).json({ ok:false, error:'Missing fields' });
+      if (!Object.hasOwn(INTERVALS, interval)) return res.status(400).json({ ok:false, error:`interval must be one of ${Object.keys(INTERVALS).join(', ')}` });
+      const h = await getHistory(venue, symbol, { days: Number(days), interval });
+      upsertCandles(venue, symbol, h.interval, h.candles);
+      res.json({ ok:true, venue, symbol, source: h.source, interval: h.interval, count: h.candles.length });
+    } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
+  });
+
+  // Replays candle closes through a fresh strategy instance. Fills use the paper model: buys at the
+  // close plus half the venue spread, sells minus it, fees from paperCharges, lots via applyFill.
+  // Equity is capital + realized + unrealized (longs marked at bid, shorts at ask) after each candle.
+  function runBacktest({ venue, symbol, strategy, params, candles, sizing, allowShort, capital, intervalMs }) {
+    const inst = strategies[strategy].create(params);
+    const book = { lots: [], realizedMinor: 0 };
+    const prices = [], equity = [], trades = [];
+    let feesMinor = 0;
+    const posQty = () => +book.lots.reduce((a, l) => a + l.qty, 0).toFixed(8);
+    for (const c of candles) {
+      prices.push(c.c);
+      const half = c.c * spreadFor(venue, symbol) / 2;
+      const tick = { price: c.c, bid: +(c.c - half).toFixed(2), ask: +(c.c + half).toFixed(2), ts: c.t };
+      for (const sig of inst.onTick(tick, prices)) {
+        const size = orderSize(sizing, venue, symbol, c.c);
+        const delta = size ? +(signalTarget(sig, size, allowShort) - posQty()).toFixed(8) : 0;
+        if (!delta) continue;
+        const order = { ts: c.t, side: delta > 0 ? 'BUY' : 'SELL', qty: Math.abs(delta), price: delta > 0 ? tick.ask : tick.bid };
+        const fee = paperCharges({ venue, symbol, ...order }).totalMinor;
+        const { realized, closedQty } = applyFill(book, order, fee);
+        feesMinor += fee;
+        trades.push({ ...order, fee: fromMinor(fee), realized: fromMinor(realized), closedQty, reason: sig.reason });
       }
-    } catch (e) {
-      const err = { type:'error', venue, symbol, message: e.message, ts: Date.now() };
-      for (const [ws, info] of clients) {
-        if (ws.readyState === 1 && info.subs.has(key)) ws.send(JSON.stringify(err));
+      const unrealMinor = book.lots.reduce((a, l) => a + (toMinor(l.qty > 0 ? tick.bid : tick.ask) - l.priceMinor) * l.qty, 0);
+      equity.push({ t: c.t, equity: +(capital + (book.realizedMinor + unrealMinor) / 100).toFixed(2) });
+    }
+
+    const closes = trades.filter(t => t.closedQty > 0);
+    let peak = capital, maxDd = 0, maxDdPct = 0;
+    const rets = [];
+    equity.forEach((e, i) => {
+      peak = Math.max(peak, e.equity);
+      maxDd = Math.max(maxDd, peak - e.equity);
+      maxDdPct = Math.max(maxDdPct, peak > 0 ? (peak - e.equity) / peak : 0);
+      const prev = i ? equity[i-1].equity : capital;
+      if (prev) rets.push(e.equity / prev - 1);
+    });
+    const mean = rets.reduce((a, b) => a + b, 0) / (rets.length || 1);
+    const sd = Math.sqrt(rets.reduce((a, r) => a + (r - mean) ** 2, 0) / (rets.length > 1 ? rets.length - 1 : 1));
+    const periodsPerYear = 365 * 86_400_000 / intervalMs;
+    const finalEquity = equity.length ? equity[equity.length - 1].equity : capital;
+    return {
+      equity, trades,
+      stats: {
+        candles: candles.length, trades: trades.length, closingTrades: closes.length,
+        winRate: closes.length ? +(closes.filter(t => Number(t.realized) > 0).length / closes.length).toFixed(4) : null,
+        netPnl: +(finalEquity - capital).toFixed(2), returnPct: +((finalEquity / capital - 1) * 100).toFixed(2),
+        realized: Number(fromMinor(book.realizedMinor)), fees: Number(fromMinor(feesMinor)),
+        maxDrawdown: +maxDd.toFixed(2), maxDrawdownPct: +(maxDdPct * 100).toFixed(2),
+        sharpe: sd ? +(mean / sd * Math.sqrt(periodsPerYear)).toFixed(3) : 0,
+        endPosition: posQty()
+      }
+    };
+  }
+
+  // Body: { venue, symbol, strategy, params?, interval?, from?, to?, days?, sizing, allowShort?, capital? }
+  // Uses stored candles; when none are stored for the range, provider history is ingested first.
+  app.post('/api/backtest', can('trader'), express.json(), async (req, res) => {
+    try {
+      const b = req.body || {};
+      const { venue, symbol, sizing = {}, allowShort = false } = b;
+      if (!venue || !symbol) return res.status(400).json({ ok:false, error:'Missing fields' });
+      const { error, params } = resolveStrategy(b);
+      if (error) return res.status(400).json({ ok:false, error });
+      let interval = String(b.interval || '1h');
+      if (!Object.hasOwn(INTERVALS, interval)) return res.status(400).json({ ok:false, error:`interval must be one of ${Object.keys(INTERVALS).join(', ')}` });
+      const days = Number(b.days || 30);
+      const to = Number(b.to || clock.now()), from = Number(b.from || to - days * 86_400_000);
+      const capital = Number(b.capital || 10_000);
+      let candles = getCandles(venue, symbol, interval, from, to);
+      if (candles.length < 2) {
+        const h = await getHistory(venue, symbol, { days: Math.ceil((to - from) / 86_400_000), interval });
+        upsertCandles(venue, symbol, h.interval, h.candles);
+        candles = getCandles(venue, symbol, interval, from, to);
+        if (candles.length < 2) { interval = h.interval; candles = getCandles(venue, symbol, interval, from, to); }
       }
+      if (candles.length < 2) return res.status(400).json({ ok:false, error:'Not enough candles for this range' });
+      const result = runBacktest({ venue, symbol, strategy: b.strategy, params, candles, sizing, allowShort: !!allowShort, capital, intervalMs: INTERVALS[interval] });
+      res.json({ ok:true, venue, symbol, strategy: b.strategy, params, interval, from, to, capital, ...result });
+    } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
+  });
+
+  app.delete('/api/paper/order/:id', can('trader'), (req, res) => {
+    const o = state.orders.find(x => x.id === Number(req.params.id) && x.mode === 'paper');
+    if (!o) return res.status(404).json({ ok:false, error:'Order not found' });
+    if (!isOpenOrder(o)) return res.status(409).json({ ok:false, error:`Order is ${o.status}` });
+    cancelOrder(o, 'user');
+    res.json({ ok:true, order: o });
+  });
+
+  // Amend qty / limitPrice / stopPrice / tif of a resting order; the order loses time priority.
+  // The amended fields are normalized like a new order's (tick rounding, whole lots), and the amended open
+  // quantity goes through the same risk checks (and kill switch).
+  app.patch('/api/paper/order/:id', can('trader'), express.json(), async (req, res) => {
+    const o = state.orders.find(x => x.id === Number(req.params.id) && x.mode === 'paper');
+    if (!o) return res.status(404).json({ ok:false, error:'Order not found' });
+    if (!isOpenOrder(o)) return res.status(409).json({ ok:false, error:`Order is ${o.status}` });
+    const b = req.body || {};
+    let next;
+    try {
+      next = normalizeOrder({ ...o, qty: b.qty ?? o.qty, tif: b.tif ?? o.tif, limitPrice: b.limitPrice ?? o.limitPrice, stopPrice: b.stopPrice ?? o.stopPrice });
+    } catch (e) { return sendOrderError(res, e); }
+    if (next.tif === 'IOC') return res.status(400).json({ ok:false, error:'IOC orders cannot rest' });
+    if (next.qty <= o.filledQty) return res.status(400).json({ ok:false, error:`qty must exceed filled ${o.filledQty}` });
+    if (b.stopPrice != null && o.triggered) return res.status(409).json({ ok:false, error:'Stop already triggered' });
+    try {
+      const amended = { ...o, ...next, qty: +(next.qty - o.filledQty).toFixed(8) };
+      enforceRisk(amended, Number(amended.limitPrice) || (await getPrice(o.venue, o.symbol)).price, 'paper');
+    } catch (e) { return sendOrderError(res, e); }
+    if (!isOpenOrder(o)) return res.status(409).json({ ok:false, error:`Order is ${o.status}` });
+    o.qty = next.qty;
+    if (o.limitPrice != null) o.limitPrice = next.limitPrice;
+    if (o.stopPrice != null) o.stopPrice = next.stopPrice;
+    if (next.tif !== o.tif) {
+      o.tif = next.tif;
+      if (o.tif === 'DAY') o.expiresAt = dayExpiry(o.venue, o.symbol, clock.now()); else delete o.expiresAt;
     }
+    o.history.push({ status: o.status, ts: clock.now(), event: 'amended' });
+    journalOrder(o);
+    const key = `${o.venue}:${o.symbol}`;
+    orderBook[key] = [...orderBook[key].filter(x => x !== o), o];
+    res.json({ ok:true, order: o });
+  });
+
+  // ---------- Reports & exports ----------
+  // GET /api/reports/:report?account=&from=&to=&format=json|csv&download=1 serves one flat table:
+  //   orders, fills, positions   the ledger (orders and fills with ts in [from, to]; positions as of now)
+  //   daily                      P/L statement per day, venue and symbol, fees broken out
+  //   lots                       realized gains per closed FIFO lot, costed in INR at each leg's recorded fx
+  // Days are calendar days in REPORT_TZ (default Asia/Kolkata). JSON and CSV carry the same columns;
+  // download=1 adds Content-Disposition so browsers save the file.
+  const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone: REPORT_TZ, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const reportDay = (ts) => dayFormat.format(ts);
+  const isoTime = (ts) => new Date(ts).toISOString();
+  const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 86_400_000);
+  const monthsAfter = (day, n) => { const [y, m, d] = day.split('-').map(Number); return new Date(Date.UTC(y, m - 1 + n, d)).toISOString().slice(0, 10); };
+
+  const csvCell = (v) => v == null ? '' : /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const toCsv = (columns, rows) => [columns, ...rows.map(r => columns.map(c => r[c]))].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+  // Parses ?account=&from=&to= (epoch ms); returns { account, from, to, within } or { status, error }
+  function reportQuery(req) {
+    const account = String(req.query.account || 'default');
+    if (!state.accounts[account]) return { status: 404, error: 'Account not found' };
+    const from = Number(req.query.from || 0), to = Number(req.query.to || clock.now());
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) return { status: 400, error: 'from and to must be epoch ms with from <= to' };
+    return { account, from, to, within: (x) => x.ts >= from && x.ts <= to && (x.account || 'default') === account };
   }
-}, 3000);
-// ---------- Paper trading (FIFO lots with minor units) ----------
-const toMinor = (x, dp=2) => Math.round(Number(x) * Math.pow(10, dp));
-const fromMinor = (m, dp=2) => (m / Math.pow(10, dp)).toFixed(dp);
 
-function submitOrder({ venue, symbol, side, qty, price, mode='paper' }) {
-  const o = { id: state.orders.length+1, ts: Date.now(), venue, symbol, side, qty: Number(qty), price: Number(price), mode };
-  state.orders.push(o);
-  return o;
-}
+  // Indian holding-period buckets: listed Indian shares turn long-term after 12 months, other shares after 24.
+  // Crypto is a virtual digital asset (flat rate, no long-term bucket). A hint for the accountant, not advice.
+  function holdingTerm(venue, symbol, openDay, closeDay) {
+    if (venue === 'crypto') return 'vda';
+    return closeDay > monthsAfter(openDay, quoteCurrency(venue, symbol) === 'INR' ? 12 : 24) ? 'long' : 'short';
+  }
 
-function ensureBook(key) {
-  state.positions[key] = state.positions[key] || { lots: [], realizedMinor: 0 };
-  return state.positions[key];
-}
+  // One closed lot slice. The buy leg costs notional + its fee and the sell leg yields notional - its fee,
+  // each converted to INR at the fx recorded when that leg traded (for a short the sell leg comes first).
+  // INR instruments need no conversion and report no fx.
+  function lotRow(f, l) {
+    const openMinor = Math.round(toMinor(l.openPrice) * l.qty), closeMinor = Math.round(toMinor(f.price) * l.qty);
+    const openFee = toMinor(l.openFee), closeFee = toMinor(l.closeFee);
+    const long = l.side === 'long';
+    const [buyMinor, buyFx, sellMinor, sellFx] = long
+      ? [openMinor + openFee, l.openFx, closeMinor - closeFee, f.fx]
+      : [closeMinor + closeFee, f.fx, openMinor - openFee, l.openFx];
+    const inr = (m, fx) => +convert(Number(fromMinor(m)), f.currency, 'INR', fx).toFixed(2);
+    const costInr = inr(buyMinor, buyFx), proceedsInr = inr(sellMinor, sellFx);
+    const openDate = reportDay(l.openTs), closeDate = reportDay(f.ts);
+    return { venue: f.venue, symbol: f.symbol, currency: f.currency, side: l.side, qty: l.qty, openDate, closeDate,
+      holdingDays: daysBetween(openDate, closeDate), term: holdingTerm(f.venue, f.symbol, openDate, closeDate),
+      openPrice: l.openPrice, closePrice: f.price, fees: Number(fromMinor(openFee + closeFee)),
+      gain: Number(fromMinor(sellMinor - buyMinor)), ...(f.currency !== 'INR' && { openFx: l.openFx, closeFx: f.fx }),
+      costInr, proceedsInr, gainInr: +(proceedsInr - costInr).toFixed(2), orderId: f.id };
+  }
 
-function fillPaper(order) {
-  const key = `${order.venue}:${order.symbol}`;
-  const book = ensureBook(key);
-  const pxMinor = toMinor(order.price);
-  const feeMinor = toMinor(order.price * order.qty * 0.0005);
+  function dailyRows(q) {
+    const rows = new Map();
+    for (const f of state.reports) {
+      if (!q.within(f)) continue;
+      const day = reportDay(f.ts), k = `${day}|${f.venue}|${f.symbol}`;
+      if (!rows.has(k)) rows.set(k, { day, venue: f.venue, symbol: f.symbol, currency: f.currency, fills: 0, buyQty: 0, sellQty: 0,
+        turnover: 0, fees: 0, grossRealized: 0, realized: 0, realizedInr: 0 });
+      const r = rows.get(k), pxMinor = toMinor(f.price);
+      r.fills++;
+      if (isBuySide(f.side)) r.buyQty += f.qty; else r.sellQty += f.qty;
+      r.turnover += Math.round(pxMinor * f.qty);
+      r.fees += toMinor(f.fee);
+      r.realized += toMinor(f.realized);
+      for (const l of f.closedLots || []) r.grossRealized += Math.round((pxMinor - toMinor(l.openPrice)) * l.qty) * (l.side === 'long' ? 1 : -1);
+      r.realizedInr += convert(Number(f.realized), f.currency, 'INR', f.fx);
+    }
+    return [...rows.values()]
+      .sort((a, b) => a.day.localeCompare(b.day) || a.venue.localeCompare(b.venue) || a.symbol.localeCompare(b.symbol))
+      .map(r => ({ ...r, buyQty: +r.buyQty.toFixed(8), sellQty: +r.sellQty.toFixed(8), turnover: Number(fromMinor(r.turnover)), fees: Number(fromMinor(r.fees)),
+        grossRealized: Number(fromMinor(r.grossRealized)), realized: Number(fromMinor(r.realized)), realizedInr: +r.realizedInr.toFixed(2) }));
+  }
 
-  let realized = 0;
-  if (order.side === 'BUY' || order.side === 'COVER') {
-    book.lots.push({ qty: order.qty, priceMinor: pxMinor, feeMinor });
-  } else {
-    // SELL/SHORT: close FIFO
-    let remain = order.qty;
-    while (remain > 0 && book.lots.length) {
-      const lot = book.lots[0];
-      const closeQty = Math.min(remain, lot.qty);
-      realized += (pxMinor - lot.priceMinor) * closeQty;
-      lot.qty -= closeQty;
-      remain -= closeQty;
-      if (lot.qty === 0) book.lots.shift();
+  const sumBy = (rows, keyOf, fields) => rows.reduce((acc, r) => {
+    const t = acc[keyOf(r)] ||= Object.fromEntries(fields.map(f => [f, 0]));
+    for (const f of fields) t[f] = +(t[f] + r[f]).toFixed(2);
+    return acc;
+  }, {});
+
+  // Each report: columns (CSV header and JSON row keys), rows(query) and optional totals(rows)
+  const REPORTS = {
+    orders: {
+      columns: ['id', 'time', 'account', 'venue', 'symbol', 'side', 'type', 'tif', 'qty', 'filledQty', 'price', 'limitPrice', 'stopPrice', 'status', 'mode', 'strategyId'],
+      rows: (q) => state.orders.filter(q.within).map(o => ({ ...o, time: isoTime(o.ts) }))
+    },
+    fills: {
+      columns: ['orderId', 'time', 'account', 'venue', 'symbol', 'side', 'qty', 'price', 'currency', 'fee', 'realized', 'fx', 'mode', 'strategyId', 'brokerFillId'],
+      rows: (q) => state.reports.filter(q.within).map(f => ({ ...f, orderId: f.id, time: isoTime(f.ts) }))
+    },
+    positions: {
+      columns: ['venue', 'symbol', 'side', 'qty', 'currency', 'avgPrice', 'mark', 'unrealized', 'realized'],
+      rows: (q) => Object.entries(positionsSummary(q.account)).map(([key, p]) => ({ venue: key.split(':')[0], symbol: key.slice(key.indexOf(':') + 1), ...p }))
+    },
+    daily: {
+      columns: ['day', 'venue', 'symbol', 'currency', 'fills', 'buyQty', 'sellQty', 'turnover', 'fees', 'grossRealized', 'realized', 'realizedInr'],
+      rows: dailyRows,
+      totals: (rows) => ({ byCurrency: sumBy(rows, r => r.currency, ['turnover', 'fees', 'grossRealized', 'realized']),
+        realizedInr: +rows.reduce((a, r) => a + r.realizedInr, 0).toFixed(2) })
+    },
+    lots: {
+      columns: ['venue', 'symbol', 'currency', 'side', 'qty', 'openDate', 'closeDate', 'holdingDays', 'term', 'openPrice', 'closePrice',
+        'fees', 'gain', 'openFx', 'closeFx', 'costInr', 'proceedsInr', 'gainInr', 'orderId'],
+      rows: (q) => state.reports.filter(f => f.closedLots && q.within(f)).flatMap(f => f.closedLots.map(l => lotRow(f, l))),
+      totals: (rows) => ({ byTerm: sumBy(rows, r => r.term, ['costInr', 'proceedsInr', 'gainInr']),
+        gainInr: +rows.reduce((a, r) => a + r.gainInr, 0).toFixed(2) })
     }
-    realized -= feeMinor;
-    book.realizedMinor += realized;
+  };
+
+  // Query: ?from=&to=&type=all|orders|fills|positions&account= -- raw records plus the account summary
+  app.get('/api/reports', (req,res) => {
+    const q = reportQuery(req);
+    if (q.error) return res.status(q.status).json({ ok:false, error: q.error });
+    const type = String(req.query.type || 'all');
+    const payload = {};
+    if (type === 'orders' || type === 'all') payload.orders = state.orders.filter(q.within);
+    if (type === 'fills'  || type === 'all') payload.fills  = state.reports.filter(q.within);
+    if (type === 'positions' || type === 'all') payload.positions = positionsSummary(q.account);
+    const { positions, ...summary } = accountSummary(q.account);
+    payload.account = summary;
+    res.json({ ok:true, ...payload });
+  });
+
+  app.get('/api/reports/:report', (req, res) => {
+    const name = req.params.report, report = Object.hasOwn(REPORTS, name) ? REPORTS[name] : null;
+    if (!report) return res.status(404).json({ ok:false, error:`Unknown report ${name}; expected ${Object.keys(REPORTS).join(', ')}` });
+    const format = String(req.query.format || 'json');
+    if (format !== 'json' && format !== 'csv') return res.status(400).json({ ok:false, error:'format must be json or csv' });
+    const q = reportQuery(req);
+    if (q.error) return res.status(q.status).json({ ok:false, error: q.error });
+    const rows = report.rows(q).map(r => Object.fromEntries(report.columns.map(c => [c, r[c] ?? null])));
+    if (req.query.download === '1') res.attachment(`${name}-${q.account}-${reportDay(q.from)}-to-${reportDay(q.to)}.${format}`);
+    if (format === 'csv') return res.type('text/csv').send(toCsv(report.columns, rows));
+    res.json({ ok:true, report: name, account: q.account, from: q.from, to: q.to, tz: REPORT_TZ, columns: report.columns, rows,
+      ...(report.totals && { totals: report.totals(rows) }) });
+  });
+
+  // ---------- REST: accounts ----------
+  app.get('/api/accounts', (_req, res) => res.json({ ok:true, accounts: Object.keys(state.accounts).map(accountSummary) }));
+
+  // Body: { id, name?, baseCurrency?: 'USD'|'INR', cash?: { USD, INR } }
+  app.post('/api/accounts', can('admin'), express.json(), (req, res) => {
+    const { id, name, baseCurrency = 'INR', cash = {} } = req.body || {};
+    if (!/^[\w-]{1,32}$/.test(String(id || ''))) return res.status(400).json({ ok:false, error:'id must be 1-32 letters, digits, _ or -' });
+    if (state.accounts[id]) return res.status(409).json({ ok:false, error:'Account exists' });
+    if (!CURRENCIES.includes(baseCurrency)) return res.status(400).json({ ok:false, error:`baseCurrency must be one of ${CURRENCIES.join(', ')}` });
+    for (const c of Object.keys(cash)) {
+      if (!CURRENCIES.includes(c) || !(Number(cash[c]) >= 0)) return res.status(400).json({ ok:false, error:`Bad cash ${c}` });
+    }
+    const cfg = { id, name, baseCurrency, cash };
+    createAccount(cfg);
+    journal('account', cfg);
+    res.json({ ok:true, account: accountSummary(id) });
+  });
+
+  // ---------- REST: auth, users & audit ----------
+  // Body: { username, password } -> sets the session cookie. Five failures from one IP lock it out for a minute.
+  app.post('/api/auth/login', express.json(), (req, res) => {
+    const { username, password } = req.body || {};
+    const f = loginFailures.get(req.ip);
+    if (f && f.count >= 5 && clock.now() - f.since < 60_000) return res.status(429).json({ ok:false, error:'Too many failed logins, try again in a minute' });
+    const u = users.get(String(username));
+    const good = verifyPassword(password, u?.passwordHash || DUMMY_HASH) && u && !u.disabled;
+    audit({ user: String(username || ''), via: 'session', method: 'POST', path: '/api/auth/login', status: good ? 200 : 401, ip: req.ip });
+    if (!good) {
+      const cur = f && clock.now() - f.since < 60_000 ? f : { count: 0, since: clock.now() };
+      cur.count++;
+      loginFailures.set(req.ip, cur);
+      return res.status(401).json({ ok:false, error:'Invalid username or password' });
+    }
+    loginFailures.delete(req.ip);
+    const sid = crypto.randomBytes(32).toString('base64url');
+    sessions.set(sid, { username: u.username, expires: clock.now() + SESSION_TTL_MS });
+    res.cookie(SESSION_COOKIE, sid, { httpOnly: true, sameSite: 'strict', secure: req.secure, maxAge: SESSION_TTL_MS, path: '/' });
+    res.json({ ok:true, user: { username: u.username, role: u.role } });
+  });
+
+  app.post('/api/auth/logout', (req, res) => {
+    if (req.user.sid) endSessions({ sid: req.user.sid });
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ ok:true });
+  });
+
+  app.get('/api/auth/me', (req, res) => res.json({ ok:true, user: req.user }));
+
+  // Body: { currentPassword, password }
+  app.post('/api/auth/password', express.json(), (req, res) => {
+    const { currentPassword, password } = req.body || {};
+    const u = users.get(req.user.username);
+    if (!u) return res.status(400).json({ ok:false, error:'No password for this user' });
+    if (!verifyPassword(currentPassword, u.passwordHash)) return res.status(403).json({ ok:false, error:'Current password is wrong' });
+    if (String(password || '').length < 8) return res.status(400).json({ ok:false, error:'password must be at least 8 characters' });
+    saveUser({ ...u, passwordHash: hashPassword(password) });
+    res.json({ ok:true });
+  });
+
+  // API keys: your own, or everyone's for an admin with ?all=1
+  app.get('/api/auth/keys', (req, res) => {
+    const all = req.query.all === '1' && req.user.role === 'admin';
+    res.json({ ok:true, keys: [...apiKeys.values()].filter(k => all || k.username === req.user.username).map(keyView) });
+  });
+
+  // Body: { name, role? } -- role defaults to, and may not exceed, the caller's. The key is only shown in this response.
+  app.post('/api/auth/keys', express.json(), (req, res) => {
+    const { name = 'key', role = req.user.role } = req.body || {};
+    if (!ROLES.includes(role)) return res.status(400).json({ ok:false, error:`role must be one of ${ROLES.join(', ')}` });
+    if (roleRank(role) > roleRank(req.user.role)) return res.status(403).json({ ok:false, error:`Key role ${role} exceeds your role (${req.user.role})` });
+    const id = crypto.randomBytes(4).toString('hex'), secret = crypto.randomBytes(24).toString('base64url');
+    const k = { id, username: req.user.username, name: String(name).slice(0, 64), role, hash: sha256(secret), createdAt: clock.now(), revoked: false };
+    apiKeys.set(id, k);
+    journal('apikey', k);
+    res.json({ ok:true, key: `uat_${id}_${secret}`, info: keyView(k) });
+  });
+
+  app.delete('/api/auth/keys/:id', (req, res) => {
+    const k = apiKeys.get(req.params.id);
+    if (!k || (k.username !== req.user.username && req.user.role !== 'admin')) return res.status(404).json({ ok:false, error:'Key not found' });
+    k.revoked = true;
+    journal('apikey', k);
+    res.json({ ok:true, key: keyView(k) });
+  });
+
+  app.get('/api/users', can('admin'), (_req, res) => res.json({ ok:true, users: [...users.values()].map(userView) }));
+
+  // Body: { username, password, role }
+  app.post('/api/users', can('admin'), express.json(), (req, res) => {
+    const { username, password, role = 'viewer' } = req.body || {};
+    if (!/^[\w.-]{2,32}$/.test(String(username || ''))) return res.status(400).json({ ok:false, error:'username must be 2-32 letters, digits, _ . or -' });
+    if (users.has(username)) return res.status(409).json({ ok:false, error:'User exists' });
+    if (!ROLES.includes(role)) return res.status(400).json({ ok:false, error:`role must be one of ${ROLES.join(', ')}` });
+    if (String(password || '').length < 8) return res.status(400).json({ ok:false, error:'password must be at least 8 characters' });
+    const u = { username, role, passwordHash: hashPassword(password), disabled: false, createdAt: clock.now() };
+    saveUser(u);
+    res.json({ ok:true, user: userView(u) });
+  });
+
+  // Body: { role?, password?, disabled? } -- role changes apply to live sessions at once; disabling ends them
+  app.patch('/api/users/:username', can('admin'), express.json(), (req, res) => {
+    const u = users.get(req.params.username);
+    if (!u) return res.status(404).json({ ok:false, error:'User not found' });
+    const { role, password, disabled } = req.body || {};
+    if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ ok:false, error:`role must be one of ${ROLES.join(', ')}` });
+    if (password !== undefined && String(password).length < 8) return res.status(400).json({ ok:false, error:'password must be at least 8 characters' });
+    const next = { ...u, ...(role !== undefined && { role }), ...(disabled !== undefined && { disabled: !!disabled }),
+      ...(password !== undefined && { passwordHash: hashPassword(password) }) };
+    const admins = [...users.values()].filter(x => x.role === 'admin' && !x.disabled && x.username !== u.username);
+    if (!admins.length && (next.role !== 'admin' || next.disabled)) return res.status(409).json({ ok:false, error:'Cannot remove the last admin' });
+    saveUser(next);
+    if (next.disabled || password !== undefined) endSessions({ username: u.username });
+    res.json({ ok:true, user: userView(next) });
+  });
+
+  // Query: ?user=&limit= (newest first, default 200)
+  app.get('/api/audit', can('admin'), (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 200, 1000);
+    const rows = auditLog.filter(e => !req.query.user || e.user === req.query.user);
+    res.json({ ok:true, entries: rows.slice(-limit).reverse() });
+  });
+
+  // ---------- Startup ----------
+  createAccount({ id: 'default', name: 'Default', baseCurrency: env.BASE_CURRENCY || 'INR',
+    cash: { USD: Number(env.PAPER_CASH_USD || 100_000), INR: Number(env.PAPER_CASH_INR || 5_000_000) } });
+  createAccount({ id: LIVE_ACCOUNT, name: 'Live (broker)', baseCurrency: env.BASE_CURRENCY || 'INR' });
+  loadJournal();
+  loadCandles();
+  loadAudit();
+  ensureAdmin();
+  every(30_000, () => { if (liveAdapter) reconcileLive().catch(e => { liveAdapter.status.lastError = e.message; }); });
+
+  // ---------- Lifecycle ----------
+  function start() {
+    if (running) return;
+    running = true;
+    for (const j of jobs) j.handle = setInterval(j.fn, j.ms);
+    scheduleFx();
+    if (config.fxRefreshMs) refreshFx();
+    if (Object.values(state.mode).includes('live')) getLiveAdapter();
+    broadcastStartedAt = clock.now();
+    scheduleBroadcast(config.tickIntervalMs);
   }
-  const fill = { ...order, fee: fromMinor(feeMinor), realized: fromMinor(realized) };
-  state.reports.push(fill);
-  return fill;
-}
 
-function positionsSummary() {
-  const out = {};
-  for (const [key, book] of Object.entries(state.positions)) {
-    const qty = book.lots.reduce((a,b)=>a+b.qty,0);
-    const costMinor = book.lots.reduce((a,b)=>a+b.priceMinor*b.qty,0);
-    const avgMinor = qty ? Math.round(costMinor/qty) : 0;
-    out[key] = { qty, avgPrice: Number(fromMinor(avgMinor)) };
+  function stop() {
+    running = false;
+    for (const j of jobs) { clearInterval(j.handle); j.handle = null; }
+    clearTimeout(broadcastTimer);
+    broadcastTimer = null;
+    scheduleFx();
   }
-  return out;
-}
 
-// ---------- REST: paper orders & reports ----------
-app.post('/api/paper/order', express.json(), async (req, res) => {
-  try {
-    const { venue, symbol, side, qty } = req.body || {};
-    if (!venue || !symbol || !side || !qty) return res.status(400).json({ ok:false, error:'Missing fields' });
-    const { price } = await getPrice(venue, symbol);
-    const order = submitOrder({ venue, symbol, side, qty: Number(qty), price, mode:'paper' });
-    const fill  = fillPaper(order);
-    res.json({ ok:true, order, fill });
-  } catch(e){ res.status(500).json({ ok:false, error: e.message }); }
-});
+  // Resolves to the bound address once listening (port 0 picks a free one); starts the background jobs
+  function listen(port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => { server.off('error', reject); start(); resolve(server.address()); });
+    });
+  }
 
-app.get('/api/reports', (req,res) => {
-  const f = Number(req.query.from || 0);
-  const t = Number(req.query.to || Date.now());
-  const type = String(req.query.type || 'all');
-  const within = (x) => x.ts >= f && x.ts <= t;
-  const payload = {};
-  if (type === 'orders' || type === 'all') payload.orders = state.orders.filter(within);
-  if (type === 'fills'  || type === 'all') payload.fills  = state.reports.filter(within);
-  if (type === 'positions' || type === 'all') payload.positions = positionsSummary();
-  // realized across all books
-  const realizedMinor = Object.values(state.positions).reduce((a,b)=>a+(b.realizedMinor||0),0);
-  payload.realizedMinor = realizedMinor;
-  res.json({ ok:true, ...payload });
-});
+  async function close() {
+    stop();
+    webhookAbort.abort();
+    await Promise.allSettled(webhookDeliveries);
+    liveAdapter?.disconnect();
+    for (const ws of clients.keys()) ws.terminate();
+    clients.clear();
+    await new Promise(r => wss.close(() => r()));
+    if (!server.listening) return;
+    const closed = new Promise(r => server.close(() => r()));
+    server.closeAllConnections();
+    await closed;
+  }
+
+  // The ledger and loop functions are returned as well so tests can drive them without HTTP
+  return {
+    app, server, wss, state, listen, close, start, stop,
+    broadcastCycle, fillPaper, positionsSummary, accountSummary, paperCharges, getPrice, strategies
+  };
+}
 
 // ---------- Single-file UI ----------
-function generateHTML(){
+function loginHTML(){
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>Unique Auto Trader — Sign in</title>
+<style>
+body{margin:0;font-family:system-ui,Segoe UI,Roboto;background:#0b1220;color:#e5e7eb;display:grid;place-items:center;min-height:100vh}
+form{border:1px solid #213049;background:#0e1525;border-radius:14px;padding:20px;display:grid;gap:10px;width:280px}
+input,button{background:#0f172a;color:#e5e7eb;border:1px solid #26344a;border-radius:10px;padding:8px 10px}
+button{background:linear-gradient(90deg,#0ea5b7,#22d3ee);border:0;color:#06121a}#err{color:#ef4444;font-size:13px;min-height:1em}
+</style>
+</head>
+<body>
+<form id="f">
+  <h3 style="margin:0">Unique Auto Trader</h3>
+  <input id="u" placeholder="Username" autocomplete="username" required/>
+  <input id="p" type="password" placeholder="Password" autocomplete="current-password" required/>
+  <button>Sign in</button>
+  <div id="err"></div>
+</form>
+<script>
+document.getElementById('f').onsubmit = async (e)=>{
+  e.preventDefault();
+  const r = await fetch('/api/auth/login', { method:'POST', headers:{'content-type':'application/json'},
+    body: JSON.stringify({ username: document.getElementById('u').value, password: document.getElementById('p').value }) }).then(r=>r.json());
+  if (r.ok) location.reload(); else document.getElementById('err').textContent = r.error;
+};
+</script>
+</body></html>`;
+}
+
+function generateHTML(user){
   return `<!doctype html>
 <html>
 <head>
@@ -257,17 +2789,26 @@ header{padding:12px 16px;border-bottom:1px solid #1f2a3a;background:#0c1423;posi
 .row{display:flex;gap:8px;flex-wrap:wrap;align-items:center}
 .kpi{display:grid;grid-template-columns:repeat(4,1fr);gap:10px}.kpi .box{border:1px solid #1f2a3a;border-radius:12px;background:#0f182a;padding:10px}
 .kpi .t{font-size:12px;color:#9db0c9}.kpi .v{font-size:20px}
-input,select,button{background:#0f172a;color:#e5e7eb;border:1px solid #26344a;border-radius:10px;padding:8px 10px}
+input,select,button,textarea{background:#0f172a;color:#e5e7eb;border:1px solid #26344a;border-radius:10px;padding:8px 10px}
 button.primary{background:linear-gradient(90deg,#0ea5b7,#22d3ee);border:0;color:#06121a} .hidden{display:none}
 .log{font-family:ui-monospace,Consolas,monospace;font-size:12px;background:#0a1120;border:1px solid #1f2a3a;padding:10px;border-radius:10px;max-height:250px;overflow:auto;white-space:pre-wrap}
 .pill{padding:2px 8px;border-radius:999px;border:1px solid #2a3a52}
 .grid{display:grid;grid-template-columns:1fr;gap:12px}@media(min-width:1000px){.grid{grid-template-columns:1.2fr .8fr}}
+.tblwrap{max-height:360px;overflow:auto;border:1px solid #1f2a3a;border-radius:10px}
+table.tbl{border-collapse:collapse;width:100%;font-size:12px}.tbl th,.tbl td{padding:5px 8px;border-bottom:1px solid #1a2436;text-align:right;white-space:nowrap}
+.tbl th{position:sticky;top:0;background:#0c1423;color:#9db0c9;font-weight:500}.tbl td:first-child,.tbl th:first-child{text-align:left}
+.tbl tbody tr:hover td{background:#111c30}.tbl tr.sel td{background:#13213a}.tbl button{padding:2px 8px;border-radius:8px}
+.split{display:grid;grid-template-columns:1fr;gap:12px;margin-top:12px}@media(min-width:1000px){.split{grid-template-columns:1.6fr 1fr}}
+.panel{border:1px solid #1f2a3a;border-radius:12px;background:#0f182a;padding:10px}.up{color:var(--good)}.down{color:var(--bad)}
 </style>
 </head>
 <body>
 <header>
   <h1>Unique Auto Trader — Paper Demo</h1>
   <div style="color:var(--muted);font-size:12px">Switch Live later via Settings once keys are added in Replit Secrets.</div>
+  <div class="row" style="position:absolute;right:16px;top:12px">
+    <span class="pill" id="me"></span><button id="logout">Log out</button>
+  </div>
 </header>
 <div class="wrap">
   <nav>
@@ -275,6 +2816,9 @@ button.primary{background:linear-gradient(90deg,#0ea5b7,#22d3ee);border:0;color:
     <div class="tab" data-tab="crypto">Crypto</div>
     <div class="tab" data-tab="stocks">Stocks (India)</div>
     <div class="tab" data-tab="orders">Orders</div>
+    <div class="tab" data-tab="bots">Bots</div>
+    <div class="tab" data-tab="alerts">Alerts</div>
+    <div class="tab" data-tab="backtest">Backtest</div>
     <div class="tab" data-tab="reports">Reports</div>
     <div class="tab" data-tab="settings">Settings</div>
   </nav>
@@ -284,19 +2828,48 @@ button.primary{background:linear-gradient(90deg,#0ea5b7,#22d3ee);border:0;color:
       <div class="box"><div class="t">Crypto Mode</div><div class="v" id="kModeC">Paper</div></div>
       <div class="box"><div class="t">Stocks Mode</div><div class="v" id="kModeS">Paper</div></div>
       <div class="box"><div class="t">USD/INR</div><div class="v" id="kFx">—</div></div>
-      <div class="box"><div class="t">Realized P/L</div><div class="v" id="kRPL">$0.00</div></div>
+      <div class="box"><div class="t">Realized P/L</div><div class="v" id="kRPL">—</div></div>
+    </div>
+    <div class="kpi" style="margin-top:10px">
+      <div class="box"><div class="t">Equity</div><div class="v" id="kEq">—</div></div>
+      <div class="box"><div class="t">Cash USD</div><div class="v" id="kCashU">—</div></div>
+      <div class="box"><div class="t">Cash INR</div><div class="v" id="kCashI">—</div></div>
+      <div class="box"><div class="t">Unrealized P/L</div><div class="v" id="kUPL">—</div></div>
+    </div>
+    <div class="row" style="margin-top:10px">
+      <label>Account <select id="acct"><option value="default">default</option></select></label>
+      <button id="acctNew" data-min-role="admin">New account</button>
     </div>
+    <div class="split">
+      <div class="panel">
+        <div class="row">
+          <b id="chSym">—</b>
+          <select id="chInterval"><option>1m</option><option>5m</option><option>15m</option><option>1h</option></select>
+          <select id="chStyle"><option value="candle">Candles</option><option value="line">Line</option></select>
+          <label>SMA <input type="number" id="chSma" value="20" min="0" style="width:64px"/></label>
+          <span id="chInfo" style="color:var(--muted);font-size:12px"></span>
+        </div>
+        <svg id="chart" viewBox="0 0 800 320" preserveAspectRatio="none" style="width:100%;height:320px;margin-top:8px;background:#0a1120;border:1px solid #1f2a3a;border-radius:10px"></svg>
+      </div>
+      <div class="panel">
+        <div class="row">
+          <select id="wVenue"><option value="crypto">crypto</option><option value="stock">stock</option></select>
+          <input id="wSymbol" list="cIds" placeholder="bitcoin / RELIANCE.NS" style="width:160px"/>
+          <button id="wAdd" class="primary">Watch</button>
+        </div>
+        <div class="tblwrap" style="margin-top:8px"><table class="tbl" id="wTable"></table></div>
+      </div>
+    </div>
+    <h4 style="margin:14px 0 8px">Positions</h4>
+    <div class="tblwrap"><table class="tbl" id="pTable"></table></div>
   </section>
 
   <div class="grid">
     <section id="crypto" class="card hidden">
       <h3 style="margin:6px 0 10px">Crypto <span class="pill" id="cModePill">Paper</span></h3>
       <div class="row">
-        <select id="cSymbol">
-          <option value="bitcoin">bitcoin (BTC)</option>
-          <option value="ethereum">ethereum (ETH)</option>
-          <option value="solana">solana (SOL)</option>
-        </select>
+        <input id="cSymbol" list="cIds" value="bitcoin" placeholder="CoinGecko id" style="min-width:200px"/>
+        <datalist id="cIds"></datalist>
         <button id="cStart" class="primary">Start Stream</button>
         <button id="cStop">Stop</button>
         <button id="cReco">Recommendation</button>
@@ -309,16 +2882,21 @@ button.primary{background:linear-gradient(90deg,#0ea5b7,#22d3ee);border:0;color:
       </div>
       <div class="row" style="margin-top:8px">
         <input type="number" id="cQty" min="0.001" step="0.001" value="0.01"/>
-        <button id="cBuy">Buy</button>
-        <button id="cSell">Sell</button>
+        <select id="cType"><option value="MARKET">Market</option><option value="LIMIT">Limit</option><option value="STOP">Stop</option><option value="STOP_LIMIT">Stop-Limit</option></select>
+        <input type="number" id="cLimit" placeholder="Limit" step="any" style="width:110px"/>
+        <input type="number" id="cStopPx" placeholder="Stop" step="any" style="width:110px"/>
+        <select id="cTif"><option>GTC</option><option>IOC</option><option>DAY</option></select>
+        <button id="cBuy" data-min-role="trader">Buy</button>
+        <button id="cSell" data-min-role="trader">Sell</button>
       </div>
       <div class="log" id="cLog"></div>
     </section>
 
     <section id="stocks" class="card hidden">
-      <h3 style="margin:6px 0 10px">Stocks (India) <span class="pill" id="sModePill">Paper</span></h3>
+      <h3 style="margin:6px 0 10px">Stocks (India) <span class="pill" id="sModePill">Paper</span> <span class="pill" id="sSession">—</span></h3>
       <div class="row">
-        <input id="sSymbol" placeholder="RELIANCE.NS / RELIANCE.BSE" style="min-width:260px"/>
+        <input id="sSymbol" list="sInstruments" placeholder="RELIANCE.NS / BSE:RELIANCE" style="min-width:260px"/>
+        <datalist id="sInstruments"></datalist>
         <button id="sStart" class="primary">Start Stream</button>
         <button id="sStop">Stop</button>
         <button id="sReco">Recommendation</button>
@@ -327,31 +2905,98 @@ button.primary{background:linear-gradient(90deg,#0ea5b7,#22d3ee);border:0;color:
         <div class="box"><div class="t">Last</div><div class="v" id="sLast">—</div></div>
         <div class="box"><div class="t">Bid</div><div class="v" id="sBid">—</div></div>
         <div class="box"><div class="t">Ask</div><div class="v" id="sAsk">—</div></div>
-        <div class="box"><div class="t">Last (INR)</div><div class="v" id="sLastInr">—</div></div>
+        <div class="box"><div class="t" id="sAltT">Last (USD)</div><div class="v" id="sLastInr">—</div></div>
       </div>
       <div class="row" style="margin-top:8px">
         <input type="number" id="sQty" min="1" step="1" value="10"/>
-        <button id="sBuy">Buy</button>
-        <button id="sSell">Sell</button>
+        <select id="sType"><option value="MARKET">Market</option><option value="LIMIT">Limit</option><option value="STOP">Stop</option><option value="STOP_LIMIT">Stop-Limit</option></select>
+        <input type="number" id="sLimit" placeholder="Limit" step="any" style="width:110px"/>
+        <input type="number" id="sStopPx" placeholder="Stop" step="any" style="width:110px"/>
+        <select id="sTif"><option>GTC</option><option>IOC</option><option>DAY</option></select>
+        <select id="sProduct" title="NSE/BSE product"><option value="CNC">CNC (delivery)</option><option value="MIS">MIS (intraday)</option></select>
+        <button id="sBuy" data-min-role="trader">Buy</button>
+        <button id="sSell" data-min-role="trader">Sell</button>
       </div>
       <div class="log" id="sLog"></div>
     </section>
 
-    <section id="orders" class="card hidden"><h3>Orders</h3><div class="log" id="oLog"></div></section>
+    <section id="orders" class="card hidden">
+      <h3>Orders</h3>
+      <div class="row"><label><input type="checkbox" id="oOpenOnly"/> Working orders only</label></div>
+      <div class="tblwrap" style="margin-top:8px"><table class="tbl" id="oTable"></table></div>
+    </section>
+    <section id="bots" class="card hidden">
+      <h3>Bots</h3>
+      <div class="row">
+        <select id="bStrategy"></select>
+        <input id="bSymbols" placeholder="crypto:bitcoin, stock:RELIANCE.NS" style="min-width:240px"/>
+        <input id="bParams" placeholder='{"fast":5,"slow":20}' style="min-width:160px"/>
+        <input type="number" id="bQty" placeholder="Qty" step="any" style="width:90px"/>
+        <label><input type="checkbox" id="bShort"/> Allow short</label>
+        <button id="bStart" class="primary" data-min-role="trader">Start Bot</button>
+      </div>
+      <div id="bList" style="margin-top:10px"></div>
+      <div class="log" id="bLog"></div>
+    </section>
+    <section id="alerts" class="card hidden">
+      <h3>Alerts</h3>
+      <div class="row">
+        <select id="alKind"></select>
+        <select id="alVenue"><option value="crypto">crypto</option><option value="stock">stock</option></select>
+        <input id="alSymbol" placeholder="bitcoin / RELIANCE.NS" style="width:150px"/>
+        <input id="alParams" placeholder='{"level":60000}' style="min-width:170px"/>
+        <label>Cooldown s <input type="number" id="alCooldown" value="300" min="0" style="width:80px"/></label>
+      </div>
+      <div class="row" style="margin-top:8px">
+        <input id="alHook" placeholder="Webhook URL (optional)" style="min-width:260px"/>
+        <input id="alSecret" placeholder="HMAC secret (optional)" style="width:180px"/>
+        <button id="alAdd" class="primary" data-min-role="trader">Add alert</button>
+        <button id="alNotify">Browser notifications</button>
+      </div>
+      <div id="alList" style="margin-top:10px"></div>
+      <h4 style="margin:14px 0 8px">History</h4>
+      <div class="log" id="alLog"></div>
+    </section>
+    <section id="backtest" class="card hidden">
+      <h3>Backtest</h3>
+      <div class="row">
+        <select id="btVenue"><option value="crypto">crypto</option><option value="stock">stock</option></select>
+        <input id="btSymbol" value="bitcoin" style="width:140px"/>
+        <select id="btStrategy"></select>
+        <input id="btParams" placeholder='{"fast":5,"slow":20}' style="min-width:160px"/>
+        <select id="btInterval"><option>1m</option><option>5m</option><option>15m</option><option>30m</option><option selected>1h</option><option>4h</option><option>1d</option></select>
+        <label>Days <input type="number" id="btDays" value="30" min="1" style="width:70px"/></label>
+        <input type="number" id="btQty" placeholder="Qty" step="any" value="1" style="width:90px"/>
+        <label><input type="checkbox" id="btShort"/> Allow short</label>
+        <button id="btRun" class="primary" data-min-role="trader">Run</button>
+      </div>
+      <div class="kpi" style="margin-top:10px">
+        <div class="box"><div class="t">Net P/L</div><div class="v" id="btPnl">—</div></div>
+        <div class="box"><div class="t">Win rate</div><div class="v" id="btWin">—</div></div>
+        <div class="box"><div class="t">Max drawdown</div><div class="v" id="btDd">—</div></div>
+        <div class="box"><div class="t">Sharpe</div><div class="v" id="btSharpe">—</div></div>
+      </div>
+      <svg id="btCurve" viewBox="0 0 600 160" preserveAspectRatio="none" style="width:100%;height:160px;margin-top:10px;background:#0a1120;border:1px solid #1f2a3a;border-radius:10px"></svg>
+      <div class="log" id="btLog"></div>
+    </section>
     <section id="reports" class="card hidden">
       <h3>Reports</h3>
       <div class="row">
         <label>From <input type="datetime-local" id="rFrom"></label>
         <label>To <input type="datetime-local" id="rTo"></label>
         <select id="rType">
-          <option value="all">All</option>
-          <option value="orders">Orders</option>
           <option value="fills">Fills</option>
+          <option value="orders">Orders</option>
           <option value="positions">Positions</option>
+          <option value="daily">Daily P/L statement</option>
+          <option value="lots">Tax lots (INR)</option>
         </select>
         <button id="rRun" class="primary">Run</button>
+        <button id="rCsv">Download CSV</button>
+        <button id="rJson">Download JSON</button>
       </div>
-      <div class="log" id="rLog"></div>
+      <div class="log" id="rLog" style="margin:10px 0"></div>
+      <div class="tblwrap"><table class="tbl" id="rTable"></table></div>
     </section>
   </div>
 
@@ -364,17 +3009,60 @@ button.primary{background:linear-gradient(90deg,#0ea5b7,#22d3ee);border:0;color:
       <label>Stocks Mode
         <select id="modeStocks"><option value="paper">Paper</option><option value="live">Live</option></select>
       </label>
-      <button id="save" class="primary">Save</button>
+      <button id="save" class="primary" data-min-role="admin">Save</button>
+    </div>
+    <h4 style="margin:14px 0 8px">Kill switch</h4>
+    <div class="row">
+      <button id="killGlobal" data-min-role="admin">Global</button>
+      <button id="killCrypto" data-min-role="admin">Crypto</button>
+      <button id="killStock" data-min-role="admin">Stocks</button>
+      <label><input type="checkbox" id="killFlatten"/> Flatten positions when engaging</label>
+    </div>
+    <h4 style="margin:14px 0 8px">Risk limits</h4>
+    <textarea id="riskLimits" rows="12" style="width:100%;font-family:ui-monospace,Consolas,monospace;font-size:12px"></textarea>
+    <div class="row" style="margin-top:8px"><button id="riskSave" class="primary" data-min-role="admin">Save limits</button></div>
+    <div class="log" id="riskLog" style="margin-top:8px"></div>
+    <h4 style="margin:14px 0 8px">Configuration</h4>
+    <div style="color:var(--muted);font-size:12px">Spreads and fee rates are fractions (0.0005 = 0.05%). Saving sends only what you changed, and changes apply at once.</div>
+    <textarea id="cfgJson" rows="14" style="width:100%;margin-top:8px;font-family:ui-monospace,Consolas,monospace;font-size:12px"></textarea>
+    <div class="row" style="margin-top:8px">
+      <button id="cfgSave" class="primary" data-min-role="admin">Save config</button>
+      <button id="cfgReset" data-min-role="admin">Revert runtime changes</button>
+      <span id="cfgRuntime" style="color:var(--muted);font-size:12px"></span>
+    </div>
+    <div class="log" id="cfgLog" style="margin-top:8px"></div>
+    <h4 style="margin:14px 0 8px">API keys</h4>
+    <div class="row">
+      <input id="keyName" placeholder="Key name" style="width:160px"/>
+      <select id="keyRole"><option value="viewer">viewer</option><option value="trader">trader</option><option value="admin">admin</option></select>
+      <button id="keyNew">Create key</button>
+    </div>
+    <div id="keyList" style="margin-top:8px"></div>
+    <div class="log" id="keyLog" style="margin-top:8px"></div>
+    <div data-min-role="admin">
+      <h4 style="margin:14px 0 8px">Users</h4>
+      <div class="row">
+        <input id="uName" placeholder="Username" style="width:140px"/>
+        <input id="uPass" type="password" placeholder="Password (8+)" style="width:140px"/>
+        <select id="uRole"><option value="viewer">viewer</option><option value="trader">trader</option><option value="admin">admin</option></select>
+        <button id="uAdd">Add user</button>
+      </div>
+      <div id="uList" style="margin-top:8px"></div>
+      <h4 style="margin:14px 0 8px">Audit log</h4>
+      <div class="log" id="auditLog"></div>
     </div>
   </section>
 </div>
 
 <script>
+const me = ${JSON.stringify({ username: user.username, role: user.role }).replace(/</g, '\\u003c')};
 const ws = new WebSocket((location.protocol==='https:'?'wss':'ws')+'://'+location.host);
 const subs = new Set(); const fx = { usdInr: 83.0 }; const mode = { crypto:'paper', stocks:'paper' };
 function $(id){ return document.getElementById(id); }
 function fmtUSD(x){ return '$'+Number(x||0).toFixed(2); }
 function fmtINR(x){ return '₹'+Number(x||0).toFixed(2); }
+function fmtCcy(x, c){ return c==='INR'?fmtINR(x):fmtUSD(x); }
+function rank(role){ return ['viewer','trader','admin'].indexOf(role); }
 function log(el, ...args){ el.textContent = [args.map(a=>typeof a==='string'?a:JSON.stringify(a)).join(' '), el.textContent].filter(Boolean).join('\\n'); }
 
 // Tabs
@@ -400,73 +3088,521 @@ function cap(x){ return x[0].toUpperCase()+x.slice(1); }
 // FX refresh via /api/price responses
 function updateFx(v){ if(!v) return; fx.usdInr=v; $('kFx').textContent=v.toFixed(4); }
 
-// WebSocket
+// WebSocket (protocol v1: subscribe/unsubscribe deltas, order/fill/pnl channels for the selected account)
+let wsSeq = 0;
+function wsSend(msg){ if (ws.readyState===1) ws.send(JSON.stringify({ v:1, id: ++wsSeq, ...msg })); }
+ws.onopen = ()=> wsSend({ type:'subscribe', channels:['orders','fills','pnl','alerts'], account:$('acct').value,
+  items:[...watch.values()].map(w=>({ venue:w.venue, symbol:w.symbol })) });
 ws.onmessage = (e) => {
   const m = JSON.parse(e.data);
-  if (m.type==='tick'){
+  if (m.type==='nack') console.warn('WS rejected', m);
+  else if (m.type==='order' && m.account===$('acct').value){ ordersById.set(m.order.id, m.order); renderOrders(); }
+  else if (m.type==='fill' && m.account===$('acct').value) onFill(m.fill);
+  else if (m.type==='pnl' && m.account===$('acct').value) renderPnl(m.summary);
+  else if (m.type==='alert') onAlert(m.alert);
+  else if (m.type==='tick'){
     updateFx(m.fx);
-    const usd=m.price, inr=usd*fx.usdInr;
-    const last=fmtUSD(usd), bid=fmtUSD(m.bid), ask=fmtUSD(m.ask), lastInr=fmtINR(inr);
-    if (m.venue==='crypto'){ $('cLast').textContent=last; $('cBid').textContent=bid; $('cAsk').textContent=ask; $('cLastInr').textContent=lastInr; }
-    else { $('sLast').textContent=last; $('sBid').textContent=bid; $('sAsk').textContent=ask; $('sLastInr').textContent=lastInr; }
+    onWatchTick(m);
+    // prices arrive in the instrument's currency; the fourth box shows the other one
+    const inr = m.currency==='INR', fmt = inr ? fmtINR : fmtUSD;
+    const last=fmt(m.price), bid=fmt(m.bid), ask=fmt(m.ask), alt = inr ? fmtUSD(m.price/fx.usdInr) : fmtINR(m.price*fx.usdInr);
+    if (m.venue==='crypto' && m.symbol===tabSymbol.crypto){ $('cLast').textContent=last; $('cBid').textContent=bid; $('cAsk').textContent=ask; $('cLastInr').textContent=alt; }
+    else if (m.venue==='stock' && m.symbol===tabSymbol.stock){ $('sLast').textContent=last; $('sBid').textContent=bid; $('sAsk').textContent=ask; $('sLastInr').textContent=alt; $('sAltT').textContent = inr ? 'Last (USD)' : 'Last (INR)'; }
   }
 };
 
-// Subscribe helper
-function sendSubs(){ ws.send(JSON.stringify({ type:'subscribe', items: Array.from(subs).map(s=>{ const [venue,symbol]=s.split(':'); return { venue, symbol }; }) })); }
+// Subscribe helpers
+function sub(venue, symbol){ subs.add(venue+':'+symbol); wsSend({ type:'subscribe', items:[{ venue, symbol }] }); }
+function unsub(venue, symbol){ subs.delete(venue+':'+symbol); wsSend({ type:'unsubscribe', items:[{ venue, symbol }] }); }
+
+// Watchlist: venue:symbol keys kept in localStorage, each subscribed over the WebSocket. Stock symbols are
+// stored in the server's canonical form (NSE:INFY -> INFY.NS) so they match tick frames.
+const watch = new Map(); // key -> { venue, symbol, tick }
+let chartKey = null;
+const stockSymbol = async (s)=> (await fetch('/api/instruments/'+encodeURIComponent(s)).then(r=>r.json())).instrument?.symbol || s;
+function saveWatch(){ localStorage.setItem('uat.watchlist', JSON.stringify([...watch.keys()])); }
+async function watchAdd(venue, symbol, select){
+  symbol = venue==='stock' ? await stockSymbol(symbol) : symbol.toLowerCase();
+  if (!/^[\w.\-^&]{1,40}$/.test(symbol)){ alert('Bad symbol '+symbol); return null; }
+  const key = venue+':'+symbol;
+  if (!watch.has(key)){ watch.set(key, { venue, symbol, tick:null }); sub(venue, symbol); saveWatch(); renderWatch(); }
+  if (select || !chartKey) selectChart(key);
+  return watch.get(key);
+}
+function watchRemove(key){
+  const w = watch.get(key); if (!w) return;
+  watch.delete(key); unsub(w.venue, w.symbol); saveWatch();
+  if (chartKey===key) selectChart(watch.keys().next().value || null);
+  renderWatch();
+}
+const WATCH_COLS = [
+  { key:'key', label:'Symbol' },
+  { key:'price', label:'Last', fmt:w=>w.price==null ? '…' : fmtCcy(w.price, w.currency), cls:w=>pnlCls(w.change) },
+  { key:'bid', label:'Bid', fmt:w=>w.bid==null ? '' : fmtCcy(w.bid, w.currency) },
+  { key:'ask', label:'Ask', fmt:w=>w.ask==null ? '' : fmtCcy(w.ask, w.currency) },
+  { key:'spreadBps', label:'Spread bps', fmt:w=>w.spreadBps==null ? '' : w.spreadBps.toFixed(1) },
+  { key:'ts', label:'Updated', fmt:w=>w.error ? '⚠ '+w.error : w.ts ? new Date(w.ts).toLocaleTimeString() : '' },
+  { key:null, label:'', fmt:w=>button('×', ()=>watchRemove(w.key)) }
+];
+const watchSort = { key:null, dir:1 };
+function renderWatch(){
+  const rows = [...watch].map(([key, w])=>({ key, ...w.tick, error:w.error, change:w.change,
+    spreadBps: w.tick && w.tick.price ? (w.tick.ask - w.tick.bid) / w.tick.price * 10000 : null }));
+  renderTable($('wTable'), WATCH_COLS, rows, watchSort, renderWatch, (r, tr)=>{
+    tr.style.cursor='pointer'; if (r.key===chartKey) tr.className='sel'; tr.onclick = ()=>selectChart(r.key);
+  });
+}
+function onWatchTick(m){
+  const w = watch.get(m.venue+':'+m.symbol); if (!w) return;
+  w.change = w.tick ? m.price - w.tick.price : 0; w.tick = m; w.error = null;
+  renderWatch();
+  if (m.venue+':'+m.symbol === chartKey) chartTick(m.price, m.ts);
+}
+$('wVenue').onchange = ()=>{ $('wSymbol').setAttribute('list', $('wVenue').value==='crypto' ? 'cIds' : 'sInstruments'); };
+$('wAdd').onclick = async ()=>{ const s=$('wSymbol').value.trim(); if (!s) return; if (await watchAdd($('wVenue').value, s, true)) $('wSymbol').value=''; };
+$('wSymbol').onkeydown = (e)=>{ if (e.key==='Enter') $('wAdd').click(); };
+
+// Chart: stored candles from /api/candles plus the live candle, extended by ticks; SMA of closes;
+// markers for this account's fills (▲ buy/cover, ▼ sell/short) from the fills report and 'fill' pushes
+const INTERVAL_MS = { '1m':60000, '5m':300000, '15m':900000, '1h':3600000 };
+const CHART_BARS = 120;
+const chart = { candles:[], fills:[] };
+function selectChart(key){ chartKey = key; renderWatch(); loadChart(); }
+async function loadChart(){
+  const key = chartKey, w = watch.get(key);
+  chart.candles = []; chart.fills = [];
+  $('chSym').textContent = key || '—';
+  if (!w){ drawChart(); return; }
+  const iv = $('chInterval').value, from = Date.now() - INTERVAL_MS[iv]*CHART_BARS, q = 'venue='+w.venue+'&symbol='+encodeURIComponent(w.symbol);
+  const [c, f] = await Promise.all([
+    fetch('/api/candles?'+q+'&interval='+iv+'&from='+from).then(r=>r.json()),
+    fetch('/api/reports/fills?format=json&from='+from+'&account='+encodeURIComponent($('acct').value)).then(r=>r.json())
+  ]);
+  if (key !== chartKey) return;
+  chart.candles = (c.candles||[]).map(x=>({ t:x.t, o:x.o, h:x.h, l:x.l, c:x.c }));
+  if (c.live) chartTick(c.live.o, c.live.t, c.live);
+  chart.fills = (f.rows||[]).filter(x=>x.venue===w.venue && x.symbol===w.symbol);
+  drawChart();
+}
+// Folds a price (or a whole 1m candle) into the last bar of the selected interval
+function chartTick(price, ts, c1){
+  const ms = INTERVAL_MS[$('chInterval').value], t = Math.floor(ts/ms)*ms, cs = chart.candles, last = cs[cs.length-1];
+  const hi = c1 ? c1.h : price, lo = c1 ? c1.l : price, close = c1 ? c1.c : price;
+  if (last && last.t===t){ last.h = Math.max(last.h, hi); last.l = Math.min(last.l, lo); last.c = close; }
+  else if (!last || t > last.t){ cs.push({ t, o:price, h:hi, l:lo, c:close }); if (cs.length > CHART_BARS) cs.shift(); }
+  drawChart();
+}
+function onFill(f){
+  if (f.venue+':'+f.symbol !== chartKey) return;
+  chart.fills.push(f); drawChart();
+}
+const fmtPx = (p)=> p>=100 ? p.toFixed(2) : p>=1 ? p.toFixed(3) : p.toPrecision(4);
+function drawChart(){
+  const svg = $('chart'), W = 800, H = 320, plotW = W-64, cs = chart.candles;
+  if (!cs.length){ svg.innerHTML = '<text x="400" y="160" fill="#93a3b8" text-anchor="middle" font-size="13">'+(chartKey ? 'Waiting for prices…' : 'Add a symbol to the watchlist')+'</text>'; $('chInfo').textContent=''; return; }
+  const ms = INTERVAL_MS[$('chInterval').value], t0 = cs[0].t, t1 = cs[cs.length-1].t + ms;
+  const n = Number($('chSma').value) || 0;
+  const sma = n > 1 ? cs.map((c,i)=> i+1 < n ? null : cs.slice(i+1-n, i+1).reduce((a,x)=>a+x.c, 0)/n) : [];
+  const fills = chart.fills.filter(f=>f.ts >= t0 && f.ts < t1);
+  const ps = [...cs.flatMap(c=>[c.h, c.l]), ...fills.map(f=>f.price)], lo = Math.min(...ps), hi = Math.max(...ps), span = (hi-lo) || hi*0.001 || 1;
+  const x = (t)=> (t-t0)/(t1-t0)*plotW, y = (p)=> 10 + (hi-p)/span*(H-40);
+  const bw = Math.max(1, plotW/Math.max(cs.length, 30)*0.7);
+  let out = '';
+  for (let i=0; i<=4; i++){
+    const p = lo + span*i/4, yy = y(p).toFixed(1);
+    out += '<line x1="0" x2="'+plotW+'" y1="'+yy+'" y2="'+yy+'" stroke="#1a2436"/><text x="'+(plotW+6)+'" y="'+yy+'" fill="#93a3b8" font-size="11" dominant-baseline="middle">'+fmtPx(p)+'</text>';
+  }
+  for (let i=0; i<4; i++){
+    const t = t0 + (t1-t0)*i/4;
+    out += '<text x="'+x(t).toFixed(1)+'" y="'+(H-6)+'" fill="#93a3b8" font-size="11">'+new Date(t).toLocaleTimeString([], { hour:'2-digit', minute:'2-digit' })+'</text>';
+  }
+  if ($('chStyle').value==='line') out += '<polyline fill="none" stroke="#22d3ee" stroke-width="1.5" points="'+cs.map(c=>x(c.t+ms/2).toFixed(1)+','+y(c.c).toFixed(1)).join(' ')+'"/>';
+  else for (const c of cs){
+    const cx = x(c.t+ms/2).toFixed(1), col = c.c >= c.o ? '#10b981' : '#ef4444', top = y(Math.max(c.o, c.c));
+    out += '<line x1="'+cx+'" x2="'+cx+'" y1="'+y(c.h).toFixed(1)+'" y2="'+y(c.l).toFixed(1)+'" stroke="'+col+'"/>'
+      + '<rect x="'+(cx-bw/2).toFixed(1)+'" y="'+top.toFixed(1)+'" width="'+bw.toFixed(1)+'" height="'+Math.max(1, y(Math.min(c.o, c.c))-top).toFixed(1)+'" fill="'+col+'"/>';
+  }
+  const smaPts = sma.map((v,i)=> v==null ? null : x(cs[i].t+ms/2).toFixed(1)+','+y(v).toFixed(1)).filter(Boolean);
+  if (smaPts.length > 1) out += '<polyline fill="none" stroke="#f59e0b" stroke-width="1.2" points="'+smaPts.join(' ')+'"/>';
+  for (const f of fills){
+    const mx = x(f.ts).toFixed(1), my = y(f.price), buy = f.side==='BUY' || f.side==='COVER';
+    out += '<path d="M'+mx+','+(buy ? (my+3).toFixed(1)+' l-6,10 h12 z' : (my-3).toFixed(1)+' l-6,-10 h12 z')+'" fill="'+(buy ? '#10b981' : '#ef4444')+'" stroke="#0b1220">'
+      + '<title>'+f.side+' '+f.qty+' @ '+f.price+' · '+new Date(f.ts).toLocaleString()+'</title></path>';
+  }
+  const last = cs[cs.length-1].c, ly = y(last).toFixed(1);
+  out += '<line x1="0" x2="'+plotW+'" y1="'+ly+'" y2="'+ly+'" stroke="#22d3ee" stroke-dasharray="3 3" opacity="0.6"/>'
+    + '<rect x="'+(plotW+2)+'" y="'+(ly-8)+'" width="60" height="16" rx="3" fill="#22d3ee"/><text x="'+(plotW+6)+'" y="'+ly+'" fill="#0b1220" font-size="11" dominant-baseline="middle">'+fmtPx(last)+'</text>';
+  svg.innerHTML = out;
+  $('chInfo').textContent = cs.length+' bars'+(smaPts.length ? ' · SMA('+n+') '+fmtPx(sma[sma.length-1]) : '')+(fills.length ? ' · '+fills.length+' fills' : '');
+}
+$('chInterval').onchange = loadChart;
+$('chStyle').onchange = drawChart;
+$('chSma').oninput = drawChart;
 
-// Crypto controls
-$('cStart').onclick = ()=>{ const id=$('cSymbol').value; subs.add('crypto:'+id); sendSubs(); log($('cLog'),'Subscribed',id); };
-$('cStop').onclick  = ()=>{ const id=$('cSymbol').value; subs.delete('crypto:'+id); sendSubs(); log($('cLog'),'Unsubscribed',id); };
-$('cReco').onclick  = async ()=>{ const id=$('cSymbol').value; const r=await fetch('/api/price?venue=crypto&symbol='+id).then(r=>r.json()); log($('cLog'),'Price',r); };
+// Crypto and Stocks controls: Start/Stop add to and remove from the watchlist; the tab's boxes follow that symbol
+const tabSymbol = { crypto:null, stock:null };
+const cryptoId = ()=> $('cSymbol').value.trim().toLowerCase();
+$('cStart').onclick = async ()=>{ const id=cryptoId(); if(!id) return; const w=await watchAdd('crypto', id); if (w){ tabSymbol.crypto=w.symbol; log($('cLog'),'Watching',w.symbol); } };
+$('cStop').onclick  = ()=>{ const id=cryptoId(); watchRemove('crypto:'+id); log($('cLog'),'Unwatched',id); };
+$('cReco').onclick  = async ()=>{ const id=cryptoId(); const r=await fetch('/api/reco?venue=crypto&symbol='+encodeURIComponent(id)).then(r=>r.json()); log($('cLog'),'Reco',r); };
 
-// Stocks controls
-$('sStart').onclick = ()=>{ const s=$('sSymbol').value.trim(); if(!s) return; subs.add('stock:'+s); sendSubs(); log($('sLog'),'Subscribed',s); };
-$('sStop').onclick  = ()=>{ const s=$('sSymbol').value.trim(); subs.delete('stock:'+s); sendSubs(); log($('sLog'),'Unsubscribed',s); };
-$('sReco').onclick  = async ()=>{ const s=$('sSymbol').value.trim(); if(!s) return; const r=await fetch('/api/price?venue=stock&symbol='+encodeURIComponent(s)).then(r=>r.json()); log($('sLog'),'Price',r); };
+$('sStart').onclick = async ()=>{ const s=$('sSymbol').value.trim(); if(!s) return; const w=await watchAdd('stock', s); if (w){ tabSymbol.stock=w.symbol; log($('sLog'),'Watching',w.symbol); } };
+$('sStop').onclick  = async ()=>{ const s=$('sSymbol').value.trim(); if(!s) return; watchRemove('stock:'+await stockSymbol(s)); log($('sLog'),'Unwatched',s); };
+$('sReco').onclick  = async ()=>{ const s=$('sSymbol').value.trim(); if(!s) return; const r=await fetch('/api/reco?venue=stock&symbol='+encodeURIComponent(s)).then(r=>r.json()); log($('sLog'),'Reco',r); };
 
 // Trades (paper)
-$('cBuy').onclick  = ()=> trade('crypto','BUY', Number($('cQty').value||0.01), $('cSymbol').value);
-$('cSell').onclick = ()=> trade('crypto','SELL',Number($('cQty').value||0.01), $('cSymbol').value);
+$('cBuy').onclick  = ()=> trade('crypto','BUY', Number($('cQty').value||0.01), cryptoId());
+$('cSell').onclick = ()=> trade('crypto','SELL',Number($('cQty').value||0.01), cryptoId());
 $('sBuy').onclick  = ()=> trade('stock','BUY', Number($('sQty').value||1), $('sSymbol').value.trim());
 $('sSell').onclick = ()=> trade('stock','SELL',Number($('sQty').value||1), $('sSymbol').value.trim());
 async function trade(venue, side, qty, symbol){
-  const box = venue==='crypto'?$('cLog'):$('sLog');
+  const p = venue==='crypto'?'c':'s', box = $(p+'Log');
+  const live = mode[venue==='crypto'?'crypto':'stocks']==='live'; // live orders always book to the live account
+  const order = { ...(!live && { account:$('acct').value }), venue, symbol, side, qty, type:$(p+'Type').value, tif:$(p+'Tif').value };
+  if ($(p+'Limit').value) order.limitPrice = Number($(p+'Limit').value);
+  if ($(p+'StopPx').value) order.stopPrice = Number($(p+'StopPx').value);
+  if (venue==='stock') order.product = $('sProduct').value;
   try{
-    const r = await fetch('/api/paper/order', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ venue, symbol, side, qty }) }).then(r=>r.json());
+    const r = await fetch('/api/order', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify(order) }).then(r=>r.json());
     log(box, side, symbol, r);
-    refreshOrdersAndPL();
   }catch(e){ log(box,'Trade error',String(e)); }
 }
 
-// Reports + Orders
+// Tables: columns are [{ key, label, fmt?(row) -> string|Node, cls?(row) }]. With a sort state { key, dir },
+// header clicks re-sort by that column (numbers numerically) and call redraw.
+function renderTable(tbl, columns, rows, sort, redraw, onRow){
+  if (sort && sort.key) rows = [...rows].sort((a,b)=>{ const x=a[sort.key], y=b[sort.key]; return (x==null) - (y==null) || (x>y?1:x<y?-1:0)*sort.dir; });
+  tbl.innerHTML = '';
+  const head = tbl.createTHead().insertRow();
+  for (const c of columns){
+    const th = document.createElement('th');
+    th.textContent = c.label + (sort && sort.key===c.key ? (sort.dir>0?' ▲':' ▼') : '');
+    if (sort && c.key){ th.style.cursor='pointer'; th.onclick = ()=>{ sort.dir = sort.key===c.key ? -sort.dir : 1; sort.key = c.key; redraw(); }; }
+    head.appendChild(th);
+  }
+  const body = tbl.createTBody();
+  for (const r of rows){
+    const tr = body.insertRow();
+    for (const c of columns){
+      const td = tr.insertCell(), v = c.fmt ? c.fmt(r) : r[c.key];
+      if (v instanceof Node) td.appendChild(v); else td.textContent = v ?? '';
+      if (c.cls) td.className = c.cls(r) || '';
+    }
+    if (onRow) onRow(r, tr);
+  }
+}
+const pnlCls = (v)=> v>0 ? 'up' : v<0 ? 'down' : '';
+function button(label, onclick, minRole){
+  const b = document.createElement('button'); b.textContent = label;
+  b.onclick = (e)=>{ e.stopPropagation(); onclick(); };
+  if (minRole && rank(me.role) < rank(minRole)){ b.disabled = true; b.title = 'Requires '+minRole+' role'; }
+  return b;
+}
+
+// Reports + Orders: loaded once per account, then kept current by 'order' and 'pnl' pushes
+const ordersById = new Map();
+const orderSort = { key:'id', dir:-1 };
+const ORDER_COLS = [
+  { key:'id', label:'ID' },
+  { key:'ts', label:'Time', fmt:o=>new Date(o.ts).toLocaleString() },
+  { key:'symbol', label:'Symbol', fmt:o=>o.venue+':'+o.symbol },
+  { key:'side', label:'Side', cls:o=>o.side==='BUY'||o.side==='COVER'?'up':'down' },
+  { key:'type', label:'Type', fmt:o=>o.type+(o.product?' '+o.product:'') },
+  { key:'qty', label:'Qty' },
+  { key:'filledQty', label:'Filled' },
+  { key:'limitPrice', label:'Limit / stop', fmt:o=>[o.limitPrice, o.stopPrice].filter(x=>x!=null).join(' / ') },
+  { key:'tif', label:'TIF' },
+  { key:'status', label:'Status' },
+  { key:null, label:'', fmt:o=> o.status==='open'||o.status==='partially_filled' ? button('Cancel', ()=>cancelOrder(o), 'trader') : '' }
+];
+function renderOrders(){
+  const rows = [...ordersById.values()].filter(o=>!$('oOpenOnly').checked || o.status==='open' || o.status==='partially_filled' || o.status==='pending');
+  renderTable($('oTable'), ORDER_COLS, rows, orderSort, renderOrders);
+}
+$('oOpenOnly').onchange = renderOrders;
+async function cancelOrder(o){
+  const r = await fetch('/api/order/'+o.id, { method:'DELETE' }).then(r=>r.json());
+  if (!r.ok) alert('Cancel failed: '+r.error);
+}
+
+const posSort = { key:'unrealized', dir:-1 };
+let positionRows = [];
+const POS_COLS = [
+  { key:'symbol', label:'Symbol', fmt:p=>p.venue+':'+p.symbol },
+  { key:'side', label:'Side' },
+  { key:'qty', label:'Qty' },
+  { key:'avgPrice', label:'Avg', fmt:p=>fmtCcy(p.avgPrice, p.currency) },
+  { key:'mark', label:'Mark', fmt:p=>p.mark==null ? '—' : fmtCcy(p.mark, p.currency) },
+  { key:'unrealized', label:'Unrealized', fmt:p=>fmtCcy(p.unrealized, p.currency), cls:p=>pnlCls(p.unrealized) },
+  { key:'realized', label:'Realized', fmt:p=>fmtCcy(p.realized, p.currency), cls:p=>pnlCls(p.realized) }
+];
+function renderPositions(positions){
+  if (positions) positionRows = Object.entries(positions).map(([key, p])=>({ venue:key.split(':')[0], symbol:key.slice(key.indexOf(':')+1), ...p }));
+  renderTable($('pTable'), POS_COLS, positionRows, posSort, ()=>renderPositions(), (p, tr)=>{ tr.style.cursor='pointer'; tr.onclick = ()=>watchAdd(p.venue, p.symbol, true); });
+}
 async function refreshOrdersAndPL(){
-  const j = await fetch('/api/reports?type=all').then(r=>r.json());
-  $('oLog').textContent = JSON.stringify(j.orders||[], null, 2);
-  $('kRPL').textContent = '$'+Number((j.realizedMinor||0)/100).toFixed(2);
+  const j = await fetch('/api/reports?type=all&account='+encodeURIComponent($('acct').value)).then(r=>r.json());
+  if (!j.ok) return;
+  ordersById.clear(); for (const o of j.orders||[]) ordersById.set(o.id, o);
+  renderOrders(); renderPnl({ ...j.account, positions: j.positions });
 }
-$('rRun').onclick = async ()=>{
+function renderPnl(a){
+  const b = a.baseCurrency;
+  $('kRPL').textContent = fmtCcy(a.realized, b); $('kUPL').textContent = fmtCcy(a.unrealized, b); $('kEq').textContent = fmtCcy(a.equity, b);
+  $('kCashU').textContent = fmtUSD(a.currencies.USD.cash); $('kCashI').textContent = fmtINR(a.currencies.INR.cash);
+  if (a.positions) renderPositions(a.positions);
+}
+async function refreshAccounts(){
+  const j = await fetch('/api/accounts').then(r=>r.json()), cur = $('acct').value;
+  $('acct').innerHTML = ''; for (const a of j.accounts) $('acct').add(new Option(a.name+' ('+a.baseCurrency+')', a.id));
+  $('acct').value = j.accounts.some(a=>a.id===cur) ? cur : 'default';
+}
+$('acct').onchange = ()=>{ wsSend({ type:'subscribe', account:$('acct').value }); refreshOrdersAndPL(); loadChart(); };
+$('acctNew').onclick = async ()=>{
+  const id = prompt('Account id'); if (!id) return;
+  const usd = Number(prompt('Starting USD cash', '100000')||0), inr = Number(prompt('Starting INR cash', '5000000')||0);
+  const baseCurrency = confirm('Use INR as base currency? (Cancel for USD)') ? 'INR' : 'USD';
+  const r = await fetch('/api/accounts', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ id, baseCurrency, cash:{ USD:usd, INR:inr } }) }).then(r=>r.json());
+  if (!r.ok) return alert(r.error);
+  await refreshAccounts(); $('acct').value = id; refreshOrdersAndPL();
+};
+function reportUrl(format){
   const f=$('rFrom').value?new Date($('rFrom').value).getTime():0;
   const t=$('rTo').value?new Date($('rTo').value).getTime():Date.now();
-  const typ=$('rType').value;
-  const j=await fetch('/api/reports?from='+f+'&to='+t+'&type='+typ).then(r=>r.json());
-  $('rLog').textContent = JSON.stringify(j,null,2);
+  return '/api/reports/'+$('rType').value+'?from='+f+'&to='+t+'&format='+format+'&account='+encodeURIComponent($('acct').value);
+}
+$('rRun').onclick = async ()=>{
+  const j=await fetch(reportUrl('json')).then(r=>r.json());
+  if (!j.ok) { $('rLog').textContent = j.error; return; }
+  $('rLog').textContent = j.rows.length+' rows ('+j.tz+')'+(j.totals ? '\\ntotals '+JSON.stringify(j.totals) : '');
+  const sort = { key:null, dir:1 }, cols = j.columns.map(c=>({ key:c, label:c }));
+  const draw = ()=> renderTable($('rTable'), cols, j.rows, sort, draw);
+  draw();
+};
+$('rCsv').onclick = ()=>{ location.href = reportUrl('csv')+'&download=1'; };
+$('rJson').onclick = ()=>{ location.href = reportUrl('json')+'&download=1'; };
+
+// Bots
+async function refreshBots(){
+  const j = await fetch('/api/bots').then(r=>r.json());
+  if (!$('bStrategy').options.length) for (const [k,v] of Object.entries(j.strategies)){ $('bStrategy').add(new Option(k+' '+JSON.stringify(v.defaults), k)); $('btStrategy').add(new Option(k, k)); }
+  $('bList').innerHTML = '';
+  for (const b of j.bots){
+    const row = document.createElement('div'); row.className='row';
+    row.textContent = b.id+' '+b.strategy+' ['+b.symbols.join(', ')+'] '+b.status+' pos='+JSON.stringify(b.positions)+(b.lastError?' error: '+b.lastError:'');
+    if (b.status==='running'){ const btn=document.createElement('button'); btn.textContent='Stop'; btn.onclick=async()=>{ await fetch('/api/bots/'+b.id,{method:'DELETE'}); refreshBots(); }; row.appendChild(btn); }
+    $('bList').appendChild(row);
+  }
+}
+$('bStart').onclick = async ()=>{
+  let params = {}; try { params = $('bParams').value ? JSON.parse($('bParams').value) : {}; } catch { return log($('bLog'),'Params must be JSON'); }
+  const body = { account:$('acct').value, strategy:$('bStrategy').value, params, symbols:$('bSymbols').value.split(',').map(s=>s.trim()).filter(Boolean), sizing:{ qty:Number($('bQty').value) }, allowShort:$('bShort').checked };
+  const r = await fetch('/api/bots', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify(body) }).then(r=>r.json());
+  log($('bLog'), 'Start', r); refreshBots();
+};
+refreshBots();
+
+// Alerts
+const alertLine = (e)=> new Date(e.ts).toLocaleString()+' ['+e.name+'] '+e.message+(e.deliveries&&e.deliveries.length?' webhook: '+e.deliveries.map(d=>d.status).join(','):'');
+function onAlert(e){
+  $('alLog').textContent = [alertLine(e), $('alLog').textContent].filter(Boolean).join('\\n');
+  if (window.Notification && Notification.permission==='granted') new Notification('Alert: '+e.name, { body: e.message });
+  refreshAlerts(false);
+}
+async function refreshAlerts(withHistory){
+  const j = await fetch('/api/alerts').then(r=>r.json());
+  if (!$('alKind').options.length) for (const [k,v] of Object.entries(j.kinds)) $('alKind').add(new Option(k+' '+JSON.stringify(v.params), k));
+  $('alList').innerHTML = '';
+  for (const r of j.rules){
+    const row = document.createElement('div'); row.className='row';
+    row.append(r.id+' '+r.name+' '+JSON.stringify(r.params)+(r.webhook?' → '+r.webhook.url:'')+' fired '+(r.fireCount||0)+'×'+(r.enabled?'':' (disabled)'));
+    const act = (label, fn)=>{ const b=document.createElement('button'); b.textContent=label; b.onclick=async()=>{ await fn(); refreshAlerts(true); }; if (rank(me.role)<rank('trader')) b.disabled=true; row.appendChild(b); };
+    act(r.enabled?'Disable':'Enable', ()=>fetch('/api/alerts/'+r.id, { method:'PATCH', headers:{'content-type':'application/json'}, body: JSON.stringify({ enabled: !r.enabled }) }));
+    act('Test', ()=>fetch('/api/alerts/'+r.id+'/test', { method:'POST' }));
+    act('Delete', ()=>fetch('/api/alerts/'+r.id, { method:'DELETE' }));
+    $('alList').appendChild(row);
+  }
+  if (withHistory === false) return;
+  const h = await fetch('/api/alerts/history').then(r=>r.json());
+  $('alLog').textContent = h.events.map(alertLine).join('\\n');
+}
+$('alAdd').onclick = async ()=>{
+  let params = {}; try { params = $('alParams').value ? JSON.parse($('alParams').value) : {}; } catch { return alert('Params must be JSON'); }
+  const body = { kind:$('alKind').value, venue:$('alVenue').value, symbol:$('alSymbol').value.trim()||undefined, params, cooldownSec:Number($('alCooldown').value) };
+  if ($('alHook').value.trim()) body.webhook = { url:$('alHook').value.trim(), secret:$('alSecret').value||undefined };
+  const r = await fetch('/api/alerts', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify(body) }).then(r=>r.json());
+  if (!r.ok) return alert(r.error);
+  refreshAlerts(true);
+};
+$('alNotify').onclick = ()=>{ if (window.Notification) Notification.requestPermission().then(p=>{ $('alNotify').textContent='Notifications: '+p; }); };
+refreshAlerts(true);
+
+// Backtest
+function drawCurve(svg, points){
+  if (points.length < 2){ svg.innerHTML=''; return; }
+  const ys = points.map(p=>p.equity), lo=Math.min(...ys), hi=Math.max(...ys), span=(hi-lo)||1;
+  const pts = points.map((p,i)=>(i*600/(points.length-1)).toFixed(1)+','+(155-(p.equity-lo)*150/span).toFixed(1)).join(' ');
+  svg.innerHTML = '<polyline fill="none" stroke="#22d3ee" stroke-width="1.5" points="'+pts+'"/>';
+}
+$('btRun').onclick = async ()=>{
+  let params = {}; try { params = $('btParams').value ? JSON.parse($('btParams').value) : {}; } catch { return log($('btLog'),'Params must be JSON'); }
+  const body = { venue:$('btVenue').value, symbol:$('btSymbol').value.trim(), strategy:$('btStrategy').value, params, interval:$('btInterval').value, days:Number($('btDays').value), sizing:{ qty:Number($('btQty').value) }, allowShort:$('btShort').checked };
+  $('btLog').textContent = 'Running…';
+  const r = await fetch('/api/backtest', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify(body) }).then(r=>r.json());
+  if (!r.ok){ $('btLog').textContent = 'Error: '+r.error; return; }
+  const st = r.stats;
+  $('btPnl').textContent = fmtUSD(st.netPnl)+' ('+st.returnPct+'%)';
+  $('btWin').textContent = st.winRate==null?'—':(st.winRate*100).toFixed(1)+'%';
+  $('btDd').textContent = fmtUSD(st.maxDrawdown)+' ('+st.maxDrawdownPct+'%)';
+  $('btSharpe').textContent = st.sharpe;
+  drawCurve($('btCurve'), r.equity);
+  $('btLog').textContent = JSON.stringify(st, null, 2)+'\\n\\nTrades ('+r.interval+')\\n'+r.trades.map(t=>new Date(t.ts).toISOString()+' '+t.side+' '+t.qty+' @ '+t.price+' fee '+t.fee+' pnl '+t.realized+' '+t.reason).join('\\n');
 };
 
 // Settings
 $('save').onclick = async ()=>{
   const payload = { crypto:$('modeCrypto').value, stocks:$('modeStocks').value };
   const r = await fetch('/api/mode', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify(payload) }).then(r=>r.json());
-  if (r.ok){ alert('Modes saved'); $('kModeC').textContent=cap(r.mode.crypto); $('kModeS').textContent=cap(r.mode.stocks); $('cModePill').textContent=cap(r.mode.crypto); $('sModePill').textContent=cap(r.mode.stocks); }
+  if (r.ok){ alert('Modes saved'); mode.crypto=r.mode.crypto; mode.stocks=r.mode.stocks; $('kModeC').textContent=cap(r.mode.crypto); $('kModeS').textContent=cap(r.mode.stocks); $('cModePill').textContent=cap(r.mode.crypto); $('sModePill').textContent=cap(r.mode.stocks); }
+};
+
+// Risk
+const killBtns = { global:'killGlobal', crypto:'killCrypto', stock:'killStock' };
+async function refreshRisk(){
+  const j = await fetch('/api/risk').then(r=>r.json());
+  for (const [scope,id] of Object.entries(killBtns)){
+    $(id).textContent = (scope==='global'?'Global':scope==='crypto'?'Crypto':'Stocks')+': '+(j.kill[scope]?'KILLED':'on');
+    $(id).style.borderColor = j.kill[scope] ? 'var(--bad)' : '';
+    $(id).onclick = async ()=>{
+      const on = !j.kill[scope];
+      if (on && !confirm('Engage '+scope+' kill switch?')) return;
+      const r = await fetch('/api/risk/kill', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ scope, on, flatten: $('killFlatten').checked }) }).then(r=>r.json());
+      log($('riskLog'), 'Kill switch', r); refreshRisk(); refreshOrdersAndPL();
+    };
+  }
+  if (document.activeElement !== $('riskLimits')) $('riskLimits').value = JSON.stringify(j.limits, null, 2);
+  if (j.rejections.length) $('riskLog').textContent = j.rejections.slice(0,20).map(x=>new Date(x.ts).toLocaleTimeString()+' '+x.code+' '+x.venue+':'+x.symbol+' '+x.message).join('\\n');
+}
+$('riskSave').onclick = async ()=>{
+  let body; try { body = JSON.parse($('riskLimits').value); } catch { return log($('riskLog'),'Limits must be JSON'); }
+  const r = await fetch('/api/risk/limits', { method:'PUT', headers:{'content-type':'application/json'}, body: JSON.stringify(body) }).then(r=>r.json());
+  log($('riskLog'), r.ok ? 'Limits saved' : 'Error: '+r.error);
+};
+refreshRisk();
+
+// Config: the textarea holds the effective config; Save sends what was edited as a merge patch (removed keys as null)
+let loadedConfig = {};
+const isObj = (v)=> !!v && typeof v==='object' && !Array.isArray(v);
+function diffPatch(a, b){
+  const out = {};
+  for (const k of Object.keys(a)) if (!(k in b)) out[k] = null;
+  for (const [k, v] of Object.entries(b)){
+    if (isObj(v) && isObj(a[k])){ const d = diffPatch(a[k], v); if (Object.keys(d).length) out[k] = d; }
+    else if (JSON.stringify(v) !== JSON.stringify(a[k])) out[k] = v;
+  }
+  return out;
+}
+async function refreshConfig(){
+  const j = await fetch('/api/config').then(r=>r.json());
+  if (!j.ok) return;
+  loadedConfig = j.config; updateFx(j.fxRate);
+  $('cfgJson').value = JSON.stringify(j.config, null, 2);
+  const changed = Object.keys(j.runtime);
+  $('cfgRuntime').textContent = changed.length ? 'Changed at runtime: '+changed.join(', ') : 'No runtime changes (file/env values)';
+  $('cIds').innerHTML = ''; for (const id of j.config.cryptoSymbols) $('cIds').appendChild(new Option(id, id));
+}
+async function putConfig(patch){
+  const r = await fetch('/api/config', { method:'PUT', headers:{'content-type':'application/json'}, body: JSON.stringify(patch) }).then(r=>r.json());
+  log($('cfgLog'), r.ok ? 'Config saved '+JSON.stringify(patch) : 'Error: '+r.error);
+  if (r.ok) refreshConfig();
+}
+$('cfgSave').onclick = ()=>{
+  let next; try { next = JSON.parse($('cfgJson').value); } catch { return log($('cfgLog'),'Config must be JSON'); }
+  const patch = diffPatch(loadedConfig, next);
+  if (!Object.keys(patch).length) return log($('cfgLog'),'Nothing changed');
+  putConfig(patch);
+};
+$('cfgReset').onclick = async ()=>{
+  const j = await fetch('/api/config').then(r=>r.json());
+  const keys = Object.keys(j.runtime||{}); if (!keys.length) return log($('cfgLog'),'No runtime changes');
+  if (confirm('Revert '+keys.join(', ')+' to the file/env values?')) putConfig(Object.fromEntries(keys.map(k=>[k, null])));
 };
+refreshConfig();
 
-refreshOrdersAndPL();
+// Instruments and NSE/BSE session
+async function refreshMarket(){
+  const j = await fetch('/api/market/status').then(r=>r.json());
+  if (!j.ok) return;
+  $('sSession').textContent = Object.entries(j.exchanges).map(([ex,s])=>ex+' '+(s.open ? 'open until '+new Date(s.closesAt).toLocaleTimeString() : 'closed'+(s.opensAt ? ', opens '+new Date(s.opensAt).toLocaleString() : ''))).join(' · ');
+}
+fetch('/api/instruments').then(r=>r.json()).then(j=>{ for (const i of j.instruments||[]) $('sInstruments').appendChild(new Option(i.name+' · tick '+i.tickSize+' · lot '+i.lotSize, i.symbol)); });
+refreshMarket(); setInterval(refreshMarket, 60000);
+
+// Access: who am I, API keys, users and audit (admin)
+$('me').textContent = me.username+' · '+me.role;
+$('logout').onclick = async ()=>{ await fetch('/api/auth/logout', { method:'POST' }); location.reload(); };
+document.querySelectorAll('[data-min-role]').forEach(el=>{
+  if (rank(me.role) >= rank(el.dataset.minRole)) return;
+  if (el.tagName === 'DIV') el.classList.add('hidden'); else { el.disabled = true; el.title = 'Requires '+el.dataset.minRole+' role'; }
+});
+[...$('keyRole').options].forEach(o=>{ if (rank(o.value) > rank(me.role)) o.remove(); });
+$('keyRole').value = me.role;
+const _fetch = window.fetch;
+window.fetch = async (...args)=>{ const r = await _fetch(...args); if (r.status === 401) location.reload(); return r; };
+ws.onclose = (e)=>{ if (e.code === 4401) location.reload(); };
+
+async function refreshKeys(){
+  const j = await fetch('/api/auth/keys').then(r=>r.json());
+  $('keyList').innerHTML = '';
+  for (const k of j.keys){
+    const row = document.createElement('div'); row.className='row';
+    row.textContent = k.id+' '+k.name+' ('+k.role+')'+(k.revoked?' revoked':'')+(k.lastUsedAt?' last used '+new Date(k.lastUsedAt).toLocaleString():'');
+    if (!k.revoked){ const b=document.createElement('button'); b.textContent='Revoke'; b.onclick=async()=>{ await fetch('/api/auth/keys/'+k.id,{method:'DELETE'}); refreshKeys(); }; row.appendChild(b); }
+    $('keyList').appendChild(row);
+  }
+}
+$('keyNew').onclick = async ()=>{
+  const r = await fetch('/api/auth/keys', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ name:$('keyName').value||'key', role:$('keyRole').value }) }).then(r=>r.json());
+  log($('keyLog'), r.ok ? 'New key (shown once): '+r.key : 'Error: '+r.error); refreshKeys();
+};
+refreshKeys();
+
+async function refreshUsers(){
+  const j = await fetch('/api/users').then(r=>r.json());
+  $('uList').innerHTML = '';
+  for (const u of j.users){
+    const row = document.createElement('div'); row.className='row';
+    const sel = document.createElement('select'); ['viewer','trader','admin'].forEach(x=>sel.add(new Option(x,x))); sel.value=u.role;
+    const patch = async (body)=>{ const r = await fetch('/api/users/'+encodeURIComponent(u.username), { method:'PATCH', headers:{'content-type':'application/json'}, body: JSON.stringify(body) }).then(r=>r.json()); if (!r.ok) alert(r.error); refreshUsers(); };
+    sel.onchange = ()=>patch({ role: sel.value });
+    const dis = document.createElement('button'); dis.textContent = u.disabled?'Enable':'Disable'; dis.onclick = ()=>patch({ disabled: !u.disabled });
+    row.append(u.username+(u.disabled?' (disabled)':''), sel, dis);
+    $('uList').appendChild(row);
+  }
+  const a = await fetch('/api/audit?limit=50').then(r=>r.json());
+  $('auditLog').textContent = a.entries.map(e=>new Date(e.ts).toLocaleString()+' '+e.user+' '+e.method+' '+e.path+' '+e.status+(e.body?' '+JSON.stringify(e.body):'')).join('\\n');
+}
+$('uAdd').onclick = async ()=>{
+  const r = await fetch('/api/users', { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ username:$('uName').value.trim(), password:$('uPass').value, role:$('uRole').value }) }).then(r=>r.json());
+  if (!r.ok) return alert(r.error);
+  $('uName').value=''; $('uPass').value=''; refreshUsers();
+};
+if (me.role === 'admin') refreshUsers();
+
+for (const key of JSON.parse(localStorage.getItem('uat.watchlist') || '["crypto:bitcoin","crypto:ethereum"]')){
+  const i = key.indexOf(':'); watch.set(key, { venue:key.slice(0, i), symbol:key.slice(i+1), tick:null }); subs.add(key);
+}
+chartKey = watch.keys().next().value || null;
+renderWatch();
+refreshAccounts().then(()=>{ refreshOrdersAndPL(); loadChart(); });
 </script>
 </body></html>`;
 }
 
 // ---------- Start server ----------
-const PORT = process.env.PORT || 8080;
-server.listen(PORT, () => {
-  console.log('Server http://localhost:'+PORT);
-});
+if (require.main === module) {
+  const PORT = process.env.PORT || 8080;
+  createApp().listen(PORT).then(() => console.log('Server http://localhost:'+PORT));
+}
+
+module.exports = { createApp, fileStore };
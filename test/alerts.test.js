@@ -0,0 +1,36 @@
+// Alert webhooks: what the audit log keeps of their settings, and retries that must not outlive the app
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { testApp, listening } = require('./helpers');
+
+test('webhook secrets are masked in the audit log', async (t) => {
+  const app = testApp();
+  const { api } = await listening(app);
+  t.after(() => app.close());
+
+  const webhook = { url: 'https://hooks.example.test/alerts', secret: 's3cret' };
+  const created = await api('POST', '/api/alerts', { kind: 'price_cross', venue: 'crypto', symbol: 'bitcoin', params: { level: 60_000 }, webhook });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  await api('PATCH', `/api/alerts/${created.body.rule.id}`, { webhook: { ...webhook, secret: 'n3w' } });
+
+  const { entries } = (await api('GET', '/api/audit')).body;
+  const bodies = entries.filter(e => e.path.startsWith('/api/alerts')).map(e => e.body);
+  assert.equal(bodies.length, 2);
+  for (const b of bodies) assert.deepEqual(b.webhook, { url: webhook.url, secret: '***' });
+  assert.doesNotMatch(JSON.stringify(entries), /s3cret|n3w/);
+});
+
+test('close() cancels webhook retries that are waiting out their backoff', async () => {
+  const app = testApp();
+  const { api } = await listening(app);
+  const created = await api('POST', '/api/alerts', { kind: 'price_cross', venue: 'crypto', symbol: 'bitcoin', params: { level: 60_000 },
+    webhook: { url: 'https://hooks.example.test/alerts' } });
+  const fired = await api('POST', `/api/alerts/${created.body.rule.id}/test`);
+  assert.equal(fired.status, 200, JSON.stringify(fired.body));
+  const hookCalls = () => app.coingecko.calls.filter(u => u.hostname === 'hooks.example.test').length;
+  assert.equal(hookCalls(), 1); // the fake fetch fails it, so the 2s retry is pending
+
+  await app.close();
+  await new Promise(r => setTimeout(r, 2_500)); // past the first backoff
+  assert.equal(hookCalls(), 1);
+});
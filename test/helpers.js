@@ -0,0 +1,92 @@
+// Shared fakes for the test suite: a settable clock, an in-memory store, a CoinGecko stand-in for fetch,
+// and a WebSocket client that queues frames so tests can await them in order.
+const WebSocket = require('ws');
+const { createApp } = require('../server');
+
+// Monday 5 Jan 2026, 11:30 IST: NSE/BSE are open
+const MONDAY_MIDDAY = Date.UTC(2026, 0, 5, 6, 0);
+
+function fakeClock(start = MONDAY_MIDDAY) {
+  let t = start;
+  return { now: () => t, set: (ms) => { t = ms; }, advance: (ms) => { t += ms; } };
+}
+
+function memoryStore() {
+  const files = new Map();
+  return {
+    files,
+    read: (file) => files.has(file) ? files.get(file) : null,
+    append: (file, text) => { files.set(file, (files.get(file) || '') + text); }
+  };
+}
+
+// Answers CoinGecko coins/markets from a mutable price table (id -> USD). Every other URL fails like an
+// unreachable host, so FX refreshes and other providers never leave the process.
+function fakeCoinGecko(prices) {
+  const calls = [];
+  async function fetch(url) {
+    const u = new URL(String(url));
+    calls.push(u);
+    if (u.hostname !== 'api.coingecko.com' || !u.pathname.endsWith('/coins/markets')) throw new TypeError('fetch failed');
+    const body = u.searchParams.get('ids').split(',').filter(id => prices[id] != null).map(id => ({ id, current_price: prices[id] }));
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+  }
+  return { fetch, calls, prices };
+}
+
+// Auth off, journal in the memory store, fixed USD/INR, no spread and a broadcast loop too slow to fire on its own
+const TEST_ENV = {
+  AUTH: 'off', JOURNAL_FILE: '/mem/journal.jsonl', AUDIT_FILE: 'off', CANDLES_FILE: 'off',
+  FX_REFRESH_MS: '0', FX_RATE: '80', TICK_INTERVAL_MS: '300000', SPREAD_CRYPTO: '0',
+  PROVIDERS_CRYPTO: 'coingecko', PROVIDERS_STOCK: 'sim'
+};
+
+function testApp({ clock = fakeClock(), store = memoryStore(), coingecko = fakeCoinGecko({ bitcoin: 50_000, ethereum: 3_000 }), env = {} } = {}) {
+  const t = createApp({ clock, store, fetch: coingecko.fetch, env: { ...TEST_ENV, ...env } });
+  return { ...t, clock, store, coingecko };
+}
+
+// Starts the app on a free port; returns helpers bound to it
+async function listening(t) {
+  const { port } = await t.listen(0);
+  const base = `http://127.0.0.1:${port}`;
+  const api = async (method, url, body) => {
+    const r = await fetch(base + url, { method, headers: body ? { 'content-type': 'application/json' } : {}, body: body && JSON.stringify(body) });
+    return { status: r.status, headers: r.headers, body: r.headers.get('content-type')?.includes('json') ? await r.json() : await r.text() };
+  };
+  return { port, base, api };
+}
+
+// Frames are queued as they arrive; next(type) resolves with the first queued (or next) frame of that type
+async function wsClient(port) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+  const frames = [], waiters = [];
+  ws.on('message', (buf) => {
+    frames.push(JSON.parse(buf.toString()));
+    for (const w of [...waiters]) w();
+  });
+  await new Promise((resolve, reject) => { ws.once('open', resolve); ws.once('error', reject); });
+  let seq = 0;
+  return {
+    ws, frames,
+    send: (msg) => ws.send(typeof msg === 'string' ? msg : JSON.stringify({ v: 1, id: ++seq, ...msg })),
+    next(type, timeoutMs = 2000) {
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          const i = frames.findIndex(f => f.type === type);
+          if (i < 0) return false;
+          waiters.splice(waiters.indexOf(check), 1);
+          clearTimeout(timer);
+          resolve(frames.splice(i, 1)[0]);
+          return true;
+        };
+        const timer = setTimeout(() => { waiters.splice(waiters.indexOf(check), 1); reject(new Error(`No ${type} frame within ${timeoutMs}ms`)); }, timeoutMs);
+        waiters.push(check);
+        check();
+      });
+    },
+    close: () => ws.close()
+  };
+}
+
+module.exports = { MONDAY_MIDDAY, fakeClock, memoryStore, fakeCoinGecko, testApp, listening, wsClient };
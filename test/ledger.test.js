@@ -0,0 +1,90 @@
+// FIFO lots, realized P/L, cash and fee rounding in minor units, through fillPaper and paperCharges
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { testApp, memoryStore } = require('./helpers');
+
+let nextId = 1;
+function fill(t, side, qty, price, feeMinor = 0, order = {}) {
+  return t.fillPaper({ id: nextId++, ts: t.clock.now(), account: 'default', venue: 'crypto', symbol: 'bitcoin', side, qty, price,
+    mode: 'paper', type: 'MARKET', ...order }, feeMinor);
+}
+const position = (t, key = 'crypto:bitcoin') => t.positionsSummary('default')[key];
+
+test('a sell closes the oldest lots first', () => {
+  const t = testApp();
+  fill(t, 'BUY', 2, 100);
+  fill(t, 'BUY', 2, 110);
+  const f = fill(t, 'SELL', 3, 120);
+  assert.equal(f.realized, '50.00'); // 2 x (120 - 100) + 1 x (120 - 110)
+  assert.deepEqual(f.closedLots.map(l => [l.qty, l.openPrice]), [[2, 100], [1, 110]]);
+  const p = position(t);
+  assert.equal(p.qty, 1);
+  assert.equal(p.avgPrice, 110);
+  assert.equal(p.realized, 50);
+});
+
+test('selling with no long opens a short, and covering realizes the drop', () => {
+  const t = testApp();
+  fill(t, 'SELL', 2, 100);
+  assert.equal(position(t).side, 'short');
+  const f = fill(t, 'BUY', 3, 90);
+  assert.equal(f.realized, '20.00');
+  assert.equal(f.closedLots[0].side, 'short');
+  const p = position(t);
+  assert.equal(p.side, 'long');
+  assert.equal(p.qty, 1);
+  assert.equal(p.avgPrice, 90);
+});
+
+test('realized P/L is net of the closed share of the opening fee and the closing fee', () => {
+  const t = testApp();
+  fill(t, 'BUY', 4, 100, 40);
+  const first = fill(t, 'SELL', 1, 110, 12);
+  assert.equal(first.realized, '9.78'); // 10.00 - 0.10 (1/4 of the opening fee) - 0.12
+  const rest = fill(t, 'SELL', 3, 110, 30);
+  assert.equal(rest.realized, '29.40'); // 30.00 - 0.30 (the remaining opening fee) - 0.30
+  assert.equal(position(t).realized, 39.18);
+  assert.equal(position(t).qty, 0);
+});
+
+test('cash moves by notional plus fee, rounded to whole cents', () => {
+  const t = testApp();
+  const before = t.state.accounts.default.cashMinor.USD;
+  const f = t.fillPaper({ id: nextId++, ts: t.clock.now(), account: 'default', venue: 'crypto', symbol: 'bitcoin', side: 'BUY', qty: 3, price: 33.333, mode: 'paper', type: 'MARKET' });
+  assert.equal(f.fee, '0.05'); // 0.05% of 99.999 = 0.0499995
+  assert.equal(t.state.accounts.default.cashMinor.USD, before - 9999 - 5);
+  const tiny = t.fillPaper({ id: nextId++, ts: t.clock.now(), account: 'default', venue: 'crypto', symbol: 'ethereum', side: 'BUY', qty: 3, price: 0.3333, mode: 'paper', type: 'MARKET' });
+  assert.equal(tiny.fee, '0.00');
+});
+
+test('NSE charges are itemised and summed in paise', () => {
+  const t = testApp();
+  const cnc = t.paperCharges({ venue: 'stock', symbol: 'RELIANCE.NS', side: 'BUY', qty: 10, price: 911.25, product: 'CNC' });
+  assert.deepEqual(cnc.parts, { brokerage: 0, stt: 9.11, exchange: 0.27, sebi: 0.01, stampDuty: 1.37, gst: 0.05 });
+  assert.equal(cnc.totalMinor, 1081);
+  const mis = t.paperCharges({ venue: 'stock', symbol: 'RELIANCE.NS', side: 'SELL', qty: 10, price: 911.25, product: 'MIS' });
+  assert.deepEqual(mis.parts, { brokerage: 2.73, stt: 2.28, exchange: 0.27, sebi: 0.01, stampDuty: 0, gst: 0.54 });
+  assert.equal(mis.totalMinor, 583);
+});
+
+test('INR fills move INR cash and keep USD untouched', () => {
+  const t = testApp();
+  const { USD, INR } = t.state.accounts.default.cashMinor;
+  const f = fill(t, 'BUY', 10, 911.25, null, { venue: 'stock', symbol: 'RELIANCE.NS', product: 'CNC' });
+  assert.equal(f.currency, 'INR');
+  assert.equal(f.fee, '10.81');
+  assert.equal(t.state.accounts.default.cashMinor.INR, INR - 911250 - 1081);
+  assert.equal(t.state.accounts.default.cashMinor.USD, USD);
+});
+
+test('replaying the journal rebuilds the same positions and cash', () => {
+  const store = memoryStore();
+  const a = testApp({ store });
+  fill(a, 'BUY', 2, 100, 20);
+  fill(a, 'BUY', 1, 130, 13);
+  fill(a, 'SELL', 2.5, 120, 30);
+  const b = testApp({ store });
+  assert.deepEqual(b.positionsSummary('default'), a.positionsSummary('default'));
+  assert.deepEqual(b.state.accounts.default.cashMinor, a.state.accounts.default.cashMinor);
+  assert.equal(b.state.reports.length, 3);
+});
@@ -0,0 +1,33 @@
+// Live mode keeps broker orders in the live account and paper orders out of it
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { testApp, listening } = require('./helpers');
+
+test('live orders book only to the live account', async (t) => {
+  // Nothing listens on the broker URL: submits fail like an unreachable broker, after account routing
+  const app = testApp({ env: { MOCK_EXCHANGE_URL: 'http://127.0.0.1:9' } });
+  const { api } = await listening(app);
+  t.after(() => app.close());
+  assert.equal((await api('POST', '/api/mode', { crypto: 'live' })).status, 200);
+  const order = (body) => api('POST', '/api/order', { venue: 'crypto', symbol: 'bitcoin', side: 'BUY', qty: 0.1, ...body });
+
+  await t.test('a live order naming a paper account is rejected before it reaches the broker', async () => {
+    const r = await order({ account: 'default' });
+    assert.equal(r.status, 400);
+    assert.match(r.body.error, /live account/);
+    assert.equal(app.state.orders.length, 0);
+  });
+
+  await t.test('without an account it goes to the broker for the live account', async () => {
+    const r = await order({});
+    assert.equal(r.status, 502); // the broker is unreachable, so the order stays pending
+    assert.deepEqual(app.state.orders.map(o => [o.account, o.mode, o.status]), [['live', 'live', 'pending']]);
+  });
+
+  await t.test('paper orders and bots cannot use the live account', async () => {
+    const paper = await api('POST', '/api/paper/order', { account: 'live', venue: 'crypto', symbol: 'bitcoin', side: 'BUY', qty: 0.1 });
+    assert.equal(paper.status, 400);
+    const bot = await api('POST', '/api/bots', { account: 'live', strategy: 'rsi', symbols: ['crypto:bitcoin'], sizing: { qty: 0.1 } });
+    assert.equal(bot.status, 400);
+  });
+});
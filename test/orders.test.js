@@ -0,0 +1,128 @@
+// Paper orders: amendments are held to the same risk checks as new orders, open buys reserve buying power,
+// the daily loss limit resets at midnight in REPORT_TZ,
+// sub-cent coins are quoted and risk-checked at their real price, and account or lookup names are matched as own keys only
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { testApp, listening, fakeCoinGecko } = require('./helpers');
+
+test('amending a resting order', async (t) => {
+  const app = testApp();
+  const { api } = await listening(app);
+  t.after(() => app.close());
+
+  await api('PUT', '/api/risk/limits', { maxPosition: { 'crypto:bitcoin': 1 } });
+  const placed = await api('POST', '/api/order', { venue: 'crypto', symbol: 'bitcoin', side: 'BUY', qty: 0.5, type: 'LIMIT', limitPrice: 45_000 });
+  assert.equal(placed.status, 200, JSON.stringify(placed.body));
+  const id = placed.body.order.id;
+
+  await t.test('past the position limit is rejected with the risk code and leaves the order alone', async () => {
+    const r = await api('PATCH', `/api/paper/order/${id}`, { qty: 1.5 });
+    assert.equal(r.status, 422);
+    assert.equal(r.body.code, 'MAX_POSITION');
+    const o = app.state.orders.find(x => x.id === id);
+    assert.deepEqual([o.qty, o.limitPrice, o.status], [0.5, 45_000, 'open']);
+    assert.equal(app.state.positions.default?.['crypto:bitcoin']?.lots.length ?? 0, 0);
+  });
+
+  await t.test('is refused while the venue kill switch is on', async () => {
+    app.state.risk.kill.crypto = true;
+    const r = await api('PATCH', `/api/paper/order/${id}`, { qty: 0.6 });
+    app.state.risk.kill.crypto = false;
+    assert.equal(r.status, 422);
+    assert.equal(r.body.code, 'KILL_SWITCH');
+  });
+
+  await t.test('within the limits is applied', async () => {
+    const r = await api('PATCH', `/api/paper/order/${id}`, { qty: 0.8, limitPrice: 46_000 });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.deepEqual([r.body.order.qty, r.body.order.limitPrice], [0.8, 46_000]);
+  });
+
+  await t.test('on NSE rounds prices to the tick and keeps qty in whole lots', async () => {
+    const nse = await api('POST', '/api/order', { venue: 'stock', symbol: 'RELIANCE.NS', side: 'BUY', qty: 2, type: 'LIMIT', limitPrice: 10 });
+    assert.equal(nse.status, 200, JSON.stringify(nse.body));
+    const url = `/api/paper/order/${nse.body.order.id}`;
+    const rounded = await api('PATCH', url, { limitPrice: 10.0333 });
+    assert.equal(rounded.status, 200, JSON.stringify(rounded.body));
+    assert.equal(rounded.body.order.limitPrice, 10.05);
+    const partLot = await api('PATCH', url, { qty: 2.5 });
+    assert.equal(partLot.status, 400);
+    assert.match(partLot.body.error, /multiple of the lot size/);
+    assert.equal(app.state.orders.find(o => o.id === nse.body.order.id).qty, 2);
+  });
+});
+
+test('resting buys reserve buying power', async (t) => {
+  const app = testApp();
+  const { api } = await listening(app);
+  t.after(() => app.close());
+
+  await api('POST', '/api/accounts', { id: 'small', baseCurrency: 'USD', cash: { USD: 60_000 } });
+  const limitBuy = (qty) => api('POST', '/api/order', { account: 'small', venue: 'crypto', symbol: 'bitcoin', side: 'BUY', qty, type: 'LIMIT', limitPrice: 45_000 });
+  assert.equal((await limitBuy(1)).status, 200);
+  const summary = await api('GET', '/api/accounts');
+  assert.equal(summary.body.accounts.find(a => a.id === 'small').currencies.USD.buyingPower, 14_977.5); // 60,000 - 45,000 - 22.50 fee
+
+  const second = await limitBuy(1);
+  assert.equal(second.status, 422);
+  assert.equal(second.body.code, 'BUYING_POWER');
+
+  const placed = app.state.orders.find(o => o.account === 'small');
+  const amended = await api('PATCH', `/api/paper/order/${placed.id}`, { qty: 1.2 });
+  assert.equal(amended.status, 200, JSON.stringify(amended.body)); // its own reservation is not counted twice
+  app.coingecko.prices.bitcoin = 44_000;
+  app.clock.advance(2_000);
+  await app.broadcastCycle();
+  assert.equal(placed.status, 'filled');
+  assert.ok(app.state.accounts.small.cashMinor.USD >= 0);
+});
+
+test('names that only exist on Object.prototype are unknown', async (t) => {
+  const app = testApp();
+  const { api } = await listening(app);
+  t.after(() => app.close());
+
+  const order = await api('POST', '/api/order', { account: 'constructor', venue: 'crypto', symbol: 'bitcoin', side: 'BUY', qty: 0.1 });
+  assert.deepEqual([order.status, order.body.error], [400, 'Unknown account constructor']);
+  const bot = await api('POST', '/api/bots', { strategy: 'toString', symbols: ['crypto:bitcoin'], sizing: { qty: 0.1 } });
+  assert.equal(bot.status, 400);
+  const alert = await api('POST', '/api/alerts', { kind: 'price_cross', venue: 'crypto', symbol: 'bitcoin', params: { level: 1, constructor: 1 } });
+  assert.equal(alert.status, 400);
+  assert.equal((await api('GET', '/api/candles?interval=valueOf')).status, 400);
+  assert.equal((await api('POST', '/api/risk/kill', { scope: 'toString' })).status, 400);
+});
+
+test('sub-cent coins keep their price instead of rounding to the cent', async (t) => {
+  const app = testApp({ coingecko: fakeCoinGecko({ 'shiba-inu': 0.0000123, dogecoin: 0.1234 }) });
+  const { api } = await listening(app);
+  t.after(() => app.close());
+
+  const shib = (await api('GET', '/api/price?venue=crypto&symbol=shiba-inu')).body;
+  assert.deepEqual([shib.price, shib.bid, shib.ask], [0.0000123, 0.0000123, 0.0000123]);
+  const doge = (await api('GET', '/api/price?venue=crypto&symbol=dogecoin')).body;
+  assert.deepEqual([doge.bid, doge.ask], [0.1234, 0.1234]);
+
+  // 10 billion SHIB is $123,000, over the default $100,000 notional cap
+  const big = await api('POST', '/api/order', { venue: 'crypto', symbol: 'shiba-inu', side: 'BUY', qty: 1e10 });
+  assert.equal(big.status, 422);
+  assert.equal(big.body.code, 'MAX_NOTIONAL');
+});
+
+test('the daily loss limit resets at midnight in REPORT_TZ, like the daily statement', async (t) => {
+  const app = testApp();
+  const { api } = await listening(app);
+  t.after(() => app.close());
+  const market = (side) => api('POST', '/api/order', { venue: 'crypto', symbol: 'bitcoin', side, qty: 1 });
+
+  app.clock.set(Date.UTC(2026, 0, 5, 17, 0)); // 22:30 IST
+  await market('BUY');
+  app.coingecko.prices.bitcoin = 49_000;
+  app.clock.advance(2_000);
+  await market('SELL'); // about -1,050 USD realized
+  await api('PUT', '/api/risk/limits', { dailyLossLimit: 500 });
+  assert.equal((await market('BUY')).body.code, 'DAILY_LOSS');
+
+  app.clock.set(Date.UTC(2026, 0, 5, 18, 45)); // 00:15 IST the next day, still 5 Jan in UTC
+  const next = await market('BUY');
+  assert.equal(next.status, 200, JSON.stringify(next.body));
+});
@@ -0,0 +1,81 @@
+// /api/reports: from/to filtering on the fake clock, IST day boundaries in the daily statement, account and CSV handling
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { testApp, listening } = require('./helpers');
+
+// 23:30 IST on 5 Jan and 00:15 IST on 6 Jan: 45 minutes apart but on different report days
+const LATE_EVENING = Date.UTC(2026, 0, 5, 18, 0);
+const AFTER_MIDNIGHT = Date.UTC(2026, 0, 5, 18, 45);
+
+test('reports', async (t) => {
+  const app = testApp();
+  const { api } = await listening(app);
+  t.after(() => app.close());
+
+  app.clock.set(LATE_EVENING);
+  const buy = await api('POST', '/api/order', { venue: 'crypto', symbol: 'bitcoin', side: 'BUY', qty: 0.1 });
+  assert.equal(buy.status, 200, JSON.stringify(buy.body));
+  app.clock.set(AFTER_MIDNIGHT);
+  app.coingecko.prices.bitcoin = 51_000;
+  const sell = await api('POST', '/api/order', { venue: 'crypto', symbol: 'bitcoin', side: 'SELL', qty: 0.1 });
+  assert.equal(sell.status, 200, JSON.stringify(sell.body));
+
+  await t.test('from and to are inclusive epoch ms bounds on the fill time', async () => {
+    const all = await api('GET', '/api/reports/fills');
+    assert.deepEqual(all.body.rows.map(r => [r.side, r.price]), [['BUY', 50_000], ['SELL', 51_000]]);
+    const first = await api('GET', `/api/reports/fills?from=${LATE_EVENING}&to=${LATE_EVENING}`);
+    assert.deepEqual(first.body.rows.map(r => r.side), ['BUY']);
+    const second = await api('GET', `/api/reports/fills?from=${LATE_EVENING + 1}`);
+    assert.deepEqual(second.body.rows.map(r => r.side), ['SELL']);
+    const none = await api('GET', `/api/reports/fills?to=${LATE_EVENING - 1}`);
+    assert.equal(none.body.rows.length, 0);
+  });
+
+  await t.test('to defaults to the clock, so later fills are not yet visible', async () => {
+    app.clock.set(LATE_EVENING + 60_000);
+    const r = await api('GET', '/api/reports/orders');
+    assert.deepEqual(r.body.rows.map(o => o.side), ['BUY']);
+    app.clock.set(AFTER_MIDNIGHT);
+  });
+
+  await t.test('the daily statement splits at midnight IST', async () => {
+    const r = await api('GET', '/api/reports/daily');
+    assert.equal(r.body.tz, 'Asia/Kolkata');
+    const [d1, d2] = r.body.rows;
+    assert.equal(r.body.rows.length, 2);
+    assert.deepEqual([d1.day, d1.buyQty, d1.fees, d1.realized], ['2026-01-05', 0.1, 2.5, 0]);
+    assert.deepEqual([d2.day, d2.sellQty, d2.fees, d2.grossRealized, d2.realized], ['2026-01-06', 0.1, 2.55, 100, 94.95]);
+    assert.equal(d2.realizedInr, 7596); // 94.95 at the fill's USD/INR of 80
+    assert.deepEqual(r.body.totals.byCurrency.USD, { turnover: 10_100, fees: 5.05, grossRealized: 100, realized: 94.95 });
+  });
+
+  await t.test('a range covering one day reports only that day', async () => {
+    const r = await api('GET', `/api/reports/daily?from=${AFTER_MIDNIGHT}`);
+    assert.deepEqual(r.body.rows.map(d => d.day), ['2026-01-06']);
+  });
+
+  await t.test('bad ranges and unknown accounts are rejected', async () => {
+    assert.equal((await api('GET', `/api/reports/fills?from=${AFTER_MIDNIGHT}&to=${LATE_EVENING}`)).status, 400);
+    assert.equal((await api('GET', '/api/reports/fills?from=soon')).status, 400);
+    assert.equal((await api('GET', '/api/reports/fills?account=nobody')).status, 404);
+    assert.equal((await api('GET', '/api/reports?account=hasOwnProperty')).status, 404);
+    assert.equal((await api('GET', '/api/reports/nothing')).status, 404);
+    assert.equal((await api('GET', '/api/reports/constructor')).status, 404);
+  });
+
+  await t.test('fills of other accounts are not included', async () => {
+    const created = await api('POST', '/api/accounts', { id: 'other', baseCurrency: 'USD', cash: { USD: 1000 } });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const r = await api('GET', '/api/reports/fills?account=other');
+    assert.equal(r.body.rows.length, 0);
+  });
+
+  await t.test('CSV has the column header and one line per row', async () => {
+    const r = await api('GET', `/api/reports/fills?format=csv&download=1&to=${LATE_EVENING}`);
+    assert.match(r.headers.get('content-type'), /text\/csv/);
+    assert.match(r.headers.get('content-disposition'), /attachment; filename=".+\.csv"/);
+    const lines = r.body.trim().split(/\r?\n/);
+    assert.equal(lines[0], 'orderId,time,account,venue,symbol,side,qty,price,currency,fee,realized,fx,mode,strategyId,brokerFillId');
+    assert.equal(lines.length, 2);
+  });
+});
@@ -0,0 +1,19 @@
+// Strategy instances fed price histories directly, without ticks or bots
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { testApp } = require('./helpers');
+
+const rsiBot = (t) => t.strategies.rsi.create(t.strategies.rsi.defaults);
+const tick = (price) => ({ price, bid: price, ask: price });
+
+test('RSI stays silent on a flat window', () => {
+  const bot = rsiBot(testApp());
+  const prices = Array(20).fill(100);
+  assert.deepEqual(bot.onTick(tick(100), prices), []);
+});
+
+test('RSI sells once a rising window turns overbought', () => {
+  const bot = rsiBot(testApp());
+  const prices = Array.from({ length: 20 }, (_, i) => 100 + i);
+  assert.deepEqual(bot.onTick(tick(119), prices).map(s => [s.action, s.reason]), [['SELL', 'RSI(14) 100.0']]);
+});
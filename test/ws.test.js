@@ -0,0 +1,119 @@
+// WebSocket protocol v1 against a fake CoinGecko: subscribe/ack, ticks from broadcastCycle, batching,
+// the quote cache on the fake clock, unsubscribe, nacks and the orders/fills channels
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { testApp, listening, wsClient } = require('./helpers');
+
+// Frames on one socket arrive in order, so once the pong is in, anything sent before it has been seen
+async function drained(c) {
+  c.send({ type: 'ping' });
+  await c.next('pong');
+}
+
+test('websocket', async (t) => {
+  const app = testApp();
+  const { port, api } = await listening(app);
+  const c = await wsClient(port);
+  t.after(async () => { c.close(); await app.close(); });
+
+  const welcome = await c.next('welcome');
+  assert.equal(welcome.v, 1);
+  assert.deepEqual(welcome.user, { username: 'local', role: 'admin' });
+
+  await t.test('subscribe is acknowledged with the resulting set', async () => {
+    c.send({ type: 'subscribe', items: [{ venue: 'crypto', symbol: 'bitcoin' }], channels: ['orders', 'fills'] });
+    const ack = await c.next('ack');
+    assert.equal(ack.for, 'subscribe');
+    assert.deepEqual(ack.items, ['crypto:bitcoin']);
+    assert.deepEqual(ack.channels, ['orders', 'fills']);
+    assert.equal(ack.account, 'default');
+  });
+
+  await t.test('each broadcast cycle pushes a tick from the price source', async () => {
+    await app.broadcastCycle();
+    const tick = await c.next('tick');
+    assert.deepEqual({ venue: tick.venue, symbol: tick.symbol, price: tick.price, bid: tick.bid, ask: tick.ask, currency: tick.currency, fx: tick.fx, source: tick.source },
+      { venue: 'crypto', symbol: 'bitcoin', price: 50_000, bid: 50_000, ask: 50_000, currency: 'USD', fx: 80, source: 'coingecko' });
+    assert.equal(tick.ts, app.clock.now());
+  });
+
+  await t.test('a fresh quote is served from the cache until the TTL passes on the clock', async () => {
+    const calls = app.coingecko.calls.length;
+    app.coingecko.prices.bitcoin = 52_000;
+    await app.broadcastCycle();
+    assert.equal((await c.next('tick')).price, 50_000);
+    assert.equal(app.coingecko.calls.length, calls);
+    app.clock.advance(2_000);
+    await app.broadcastCycle();
+    assert.equal((await c.next('tick')).price, 52_000);
+    assert.equal(app.coingecko.calls.length, calls + 1);
+  });
+
+  await t.test('symbols of one venue are priced in a single batch call', async () => {
+    c.send({ type: 'subscribe', items: [{ venue: 'crypto', symbol: 'ethereum' }] });
+    assert.deepEqual((await c.next('ack')).items, ['crypto:bitcoin', 'crypto:ethereum']);
+    app.clock.advance(2_000);
+    const calls = app.coingecko.calls.length;
+    await app.broadcastCycle();
+    const ticks = [await c.next('tick'), await c.next('tick')];
+    assert.deepEqual(ticks.map(x => [x.symbol, x.price]).sort(), [['bitcoin', 52_000], ['ethereum', 3_000]]);
+    assert.equal(app.coingecko.calls.length, calls + 1);
+    assert.deepEqual(app.coingecko.calls.at(-1).searchParams.get('ids').split(',').sort(), ['bitcoin', 'ethereum']);
+  });
+
+  await t.test('a symbol the source cannot price gets an error frame', async () => {
+    c.send({ type: 'subscribe', items: [{ venue: 'crypto', symbol: 'nocoin' }] });
+    await c.next('ack');
+    app.clock.advance(2_000);
+    await app.broadcastCycle();
+    const err = await c.next('error');
+    assert.equal(err.symbol, 'nocoin');
+    assert.match(err.message, /coingecko/);
+    c.send({ type: 'unsubscribe', items: [{ venue: 'crypto', symbol: 'nocoin' }] });
+    await c.next('ack');
+  });
+
+  await t.test('unsubscribed symbols stop ticking', async () => {
+    c.send({ type: 'unsubscribe', items: [{ venue: 'crypto', symbol: 'bitcoin' }, { venue: 'crypto', symbol: 'ethereum' }] });
+    assert.deepEqual((await c.next('ack')).items, []);
+    c.frames.length = 0;
+    await app.broadcastCycle();
+    await drained(c);
+    assert.deepEqual(c.frames.filter(f => f.type === 'tick'), []);
+  });
+
+  await t.test('invalid messages are rejected with a nack code', async () => {
+    c.send('not json');
+    assert.equal((await c.next('nack')).code, 'BAD_JSON');
+    c.send({ type: 'subscribe', items: [{ venue: 'forex', symbol: 'EURUSD' }] });
+    assert.equal((await c.next('nack')).code, 'BAD_FIELD');
+    c.send({ type: 'subscribe', v: 2 });
+    assert.equal((await c.next('nack')).code, 'BAD_VERSION');
+    c.send({ type: 'publish' });
+    assert.equal((await c.next('nack')).code, 'UNKNOWN_TYPE');
+    c.send({ type: 'toString' });
+    assert.equal((await c.next('nack')).code, 'UNKNOWN_TYPE');
+    c.send({ type: 'subscribe', account: 'toString', channels: ['pnl'] });
+    assert.equal((await c.next('nack')).code, 'BAD_FIELD');
+  });
+
+  await t.test('orders and fills are pushed to channel followers of the account', async () => {
+    const r = await api('POST', '/api/order', { venue: 'crypto', symbol: 'ethereum', side: 'BUY', qty: 2 });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    const order = await c.next('order');
+    assert.equal(order.account, 'default');
+    assert.equal(order.order.id, r.body.order.id);
+    const fill = await c.next('fill');
+    assert.deepEqual([fill.fill.side, fill.fill.qty, fill.fill.price, fill.fill.fee], ['BUY', 2, 3_000, '3.00']);
+  });
+
+  await t.test('switching account moves the channels to it', async () => {
+    await api('POST', '/api/accounts', { id: 'desk2', baseCurrency: 'USD', cash: { USD: 100_000 } });
+    c.send({ type: 'subscribe', account: 'desk2' });
+    assert.equal((await c.next('ack')).account, 'desk2');
+    c.frames.length = 0;
+    await api('POST', '/api/order', { venue: 'crypto', symbol: 'ethereum', side: 'SELL', qty: 1 });
+    await drained(c);
+    assert.deepEqual(c.frames.filter(f => f.type === 'order' || f.type === 'fill'), []);
+  });
+});